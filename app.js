@@ -0,0 +1,1934 @@
+// app.js
+// The upload server as a factory: buildUploadServer() registers everything on a
+// Fastify instance and returns it without listening (server.js does that).
+
+import fastify from 'fastify';
+import fastifyHelmet from '@fastify/helmet';
+import multipart from '@fastify/multipart';
+import staticPlugin from '@fastify/static';
+import cors from '@fastify/cors';
+
+import crypto from 'crypto';
+import csv from 'csv-parser';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+
+import { createDerivativeQueue, derivativeDir, derivativePath, POSTER, VARIANTS } from './backend/derivatives.js';
+import { compileNameTemplate } from './backend/naming.js';
+import { captureDateForNaming, extractMetadata } from './backend/metadata.js';
+import { openUploadLog } from './backend/uploadLog.js';
+import { expectsFile, rebuildUploadLog } from './backend/reconcile.js';
+import { registerTusRoutes, TUS_EXPOSED_HEADERS, TUS_HEADERS } from './backend/tus.js';
+import { parseTypeAllowlist, sniffFile } from './backend/sniff.js';
+import { createProcessorPipeline, loadHooks } from './backend/pipeline.js';
+import { createClamavHook } from './backend/hooks/clamav.js';
+import { createWebhookDispatcher, parseWebhookTargets } from './backend/webhooks.js';
+import { createLiveFeed } from './backend/liveFeed.js';
+import { createZipStream, zipLimits, zipSize } from './backend/zipStream.js';
+import { openEntryStream, readZipEntries } from './backend/archive.js';
+import { createDedupeIndex, parseDedupeScope } from './backend/dedupe.js';
+import { clusterLinks, computeDHash, createPerceptualIndex } from './backend/perceptual.js';
+import { createStorage } from './backend/storage/index.js';
+import { createDiskGuard } from './backend/diskSpace.js';
+import { createMetricsRegistry, dirSize, METRICS_CONTENT_TYPE } from './backend/metrics.js';
+import { clientConfig, loadConfig } from './backend/config.js';
+import {
+  assertMediaFilename, assertUploadFilename, authKeySchema, httpError, isArchiveFilename, replyError, sanitizeFilename,
+  sha256Schema, uuidSchema, validateChunkFields, validateManifest
+} from './backend/validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Scratch folders under the uploads dir; never stored files
+const SCRATCH_DIRS = { tmp: 'tmp', chunks: 'tmp_chunks', tus: 'tmp_tus' };
+const RESERVED_DIRS = new Set(Object.values(SCRATCH_DIRS));
+
+/** Storage of final files for a loaded config (also used by reconcile.js). */
+export function storageFor(config) {
+  const uploadDir = config.paths.uploads;
+  return createStorage({
+    backend: config.storage.backend,
+    local: { root: uploadDir, areas: { '.trash': config.paths.trash, '.quarantine': config.paths.quarantine }, ignoreDirs: RESERVED_DIRS },
+    s3: { ...config.storage.s3, tmpDir: path.join(uploadDir, SCRATCH_DIRS.tmp) }
+  });
+}
+
+/**
+ * Build the upload server: routes, plugins, indexes and queues on a Fastify
+ * instance, without listening and without background work until start().
+ *   app        Fastify instance to register on (see uploadServerPlugin); default: a new one
+ *   logger     logger option for the new instance (default true)
+ *   config     settings in config.json's shape; win over config.json and env
+ *   env        environment to read settings from (default process.env)
+ *   users      async () -> { names: { authKey: FullName }, shortKeys } instead of
+ *              the users CSV; not watched, call reloadUsers() after changes
+ *   uploadLog  an opened log store with the backend/uploadLog.js API instead of the JSONL file
+ *   hooks      extra post-upload processors ({ name, run }), after POST_PROCESSORS
+ * -> { app, config, storage, uploadLog, start(), stop(), reloadUsers() }
+ *    stop() also runs on app.close()
+ */
+export async function buildUploadServer(options = {}) {
+  // ------------------------------------------------------------
+  // Paths & environment
+  // ------------------------------------------------------------
+  // Everything configurable comes from backend/config.js (defaults < config.json < env < options.config)
+  const config = loadConfig({ baseDir: __dirname, env: options.env, overrides: options.config });
+
+  const DEV = config.dev;
+  const HOST = config.server.host;
+  const PORT = config.server.port;
+
+  const uploadDir     = config.paths.uploads;
+  const authFile      = config.paths.users;
+  const logFile       = config.paths.uploadLog;
+  const legacyLogFile = config.paths.legacyUploadLog; // migrated once into logFile
+  const tmpUploadDir  = path.join(uploadDir, SCRATCH_DIRS.tmp);    // direct temp & merged chunks
+  const chunkDir      = path.join(uploadDir, SCRATCH_DIRS.chunks); // uploaded chunks
+  const tusDir        = path.join(uploadDir, SCRATCH_DIRS.tus);    // tus partial uploads + info
+  const manifestDir   = config.paths.manifests;   // chunk manifests
+  const derivDir      = config.paths.derivatives; // thumbs/previews by sha256
+  const quarantineDir = config.paths.quarantine;  // rejected content + files flagged by processors
+  const jobsDir       = config.paths.jobs;        // pending post-upload processor jobs
+  const trashDir      = config.paths.trash;       // files deleted by their uploader (restore / purge)
+  const webhookDeadLetterFile = config.paths.webhookDeadLetter;
+
+  const MAX_UPLOAD = config.limits.maxUploadBytes; // direct, tus and assembled chunk uploads
+  const MAX_CHUNK_BYTES = config.limits.maxChunkBytes;
+  const MAX_ARCHIVE_EXPANDED = config.limits.maxArchiveExpandedBytes; // unpacked total of one ZIP upload
+  const LOCK_TTL   = config.ttl.lockMs;
+  const TMP_TTL    = config.ttl.tmpMs;
+  const RES_LOG    = config.uploads.reservationLog;
+  const FFMPEG     = config.uploads.ffmpegPath;
+  const NAME_TEMPLATE = config.uploads.nameTemplate; // see backend/naming.js
+  const ALLOWED_TYPES = parseTypeAllowlist(config.uploads.allowedMediaTypes); // empty = all
+  const QUARANTINE    = config.uploads.disallowedContent === 'quarantine';    // default: reject and delete
+  const PROCESSORS    = config.uploads.postProcessors; // e.g. "clamav,./hooks/notify.js" (backend/pipeline.js)
+  const DEDUPE_SCOPE  = parseDedupeScope(config.uploads.dedupeScope); // global | user | off, see backend/dedupe.js
+  const NEAR_DISTANCE = config.uploads.nearDupDistance; // dHash bits (of 64)
+  const DELETE_WINDOW = config.ttl.deleteWindowMs; // uploaders may delete their own files this long
+  const SERIAL_RELEASE = config.uploads.serialRelease; // purged from trash: keep (serial stays taken) | release (reusable)
+  const METRICS_TOKEN = config.admin.metricsToken; // bearer token for /metrics; unset: only outside the tunnel
+  const ADMIN_KEYS    = new Set(config.admin.keys);
+
+  const ensureDir = d => { if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true }); };
+  [uploadDir, tmpUploadDir, chunkDir, tusDir, manifestDir, derivDir].forEach(ensureDir);
+
+  // ------------------------------------------------------------
+  // Utilities
+  // ------------------------------------------------------------
+  function hashingTee(algo = 'sha256') {
+    const hash = crypto.createHash(algo);
+    const t = new Transform({
+      transform(chunk, _enc, cb) { hash.update(chunk); this.push(chunk); cb(); }
+    });
+    t.digestHex = () => hash.digest('hex'); // call *after* pipeline() completes
+    return t;
+  }
+
+  const safeEqual = (a, b) => {
+    const x = Buffer.from(a), y = Buffer.from(b);
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+  };
+
+  const rmrf = async (p) => {
+    try { await fs.promises.rm(p, { recursive: true, force: true }); } catch {}
+  };
+
+  function getChunkPath(uploadId, index) {
+    return path.join(chunkDir, `${uploadId}_chunk_${index}`);
+  }
+  function getManifestPath(id) {
+    return path.join(manifestDir, `${id}.json`);
+  }
+
+  // ------------------------------------------------------------
+  // Received-chunk markers
+  //   one small file per accepted index (<chunkDir>/<uploadId>.received/<index>.json
+  //   holding { size, sha256 }), so parallel chunk requests never read-modify-write
+  //   shared state and `received` is rebuilt exactly from disk after a restart
+  // ------------------------------------------------------------
+  const getMarkerDir = uploadId => path.join(chunkDir, `${uploadId}.received`);
+  const getMarkerPath = (uploadId, index) => path.join(getMarkerDir(uploadId), `${index}.json`);
+
+  async function writeChunkMarker(uploadId, index, info) {
+    await fs.promises.mkdir(getMarkerDir(uploadId), { recursive: true });
+    const file = getMarkerPath(uploadId, index);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`; // unique: the same index may race itself
+    await fs.promises.writeFile(tmp, JSON.stringify(info));
+    await fs.promises.rename(tmp, file);
+  }
+
+  // -> { received: [sorted indices], chunks: { [index]: { size, sha256 } } }
+  async function readChunkMarkers(uploadId) {
+    let names;
+    try { names = await fs.promises.readdir(getMarkerDir(uploadId)); }
+    catch (e) { if (e.code === 'ENOENT') return { received: [], chunks: {} }; throw e; }
+
+    const chunks = {};
+    await Promise.all(names.filter(n => /^\d+\.json$/.test(n)).map(async n => {
+      try { chunks[parseInt(n, 10)] = JSON.parse(await fs.promises.readFile(path.join(getMarkerDir(uploadId), n), 'utf-8')); }
+      catch {} // half-written marker from a crash: treat the index as not received
+    }));
+    const received = Object.keys(chunks).map(Number).sort((a, b) => a - b);
+    return { received, chunks };
+  }
+
+  // ------------------------------------------------------------
+  // Storage of final files (backend/storage): local disk (default) or an S3-compatible bucket.
+  // Tmp files, chunks and tus partials always stay on local disk under uploadDir.
+  // ------------------------------------------------------------
+  const storage = storageFor(config);
+
+  // Admission control for the upload volume: uploads declare their size up front
+  // and get 507 INSUFFICIENT_STORAGE instead of filling the disk halfway through.
+  const diskGuard = createDiskGuard({ dir: uploadDir, minFree: config.limits.diskMinFreeBytes, warnPercent: config.limits.diskWarnPercent });
+
+  // A chunk for an uploadId not seen before opens a new series. Its declared size
+  // (totalSize, else totalChunks x chunkSize, at most MAX_UPLOAD) must fit twice:
+  // chunks + assembled copy. Takes validated fields. -> true if this opened the series
+  async function admitChunkSeries({ uploadId, totalChunks, chunkSize, totalSize }) {
+    if (diskGuard.holds(uploadId) || fs.existsSync(getManifestPath(uploadId))) return false;
+    const declared = totalSize ?? Math.min(totalChunks * (chunkSize || MAX_CHUNK_BYTES), MAX_UPLOAD);
+    return diskGuard.admit(2 * declared, uploadId);
+  }
+
+  // ------------------------------------------------------------
+  // Serial reservation via storage locks (extension-agnostic)
+  //   - "serial is sacred": Name_IMG-0026.* is unique regardless of ext
+  //   - the naming template decides the folder; serials are unique per folder
+  // ------------------------------------------------------------
+  const renderName = compileNameTemplate(NAME_TEMPLATE); // throws on a bad template at boot
+
+  function namingContext(authKey, { isVideo, ext, originalName, sha256, captureDate = null }) {
+    return {
+      user: users[authKey], shortKey: shortKeys[authKey],
+      isVideo: !!isVideo, ext, originalName, sha256,
+      captureDate, uploadDate: new Date()
+    };
+  }
+
+  // -> { folder, serialKey, savedName } (storage keys)
+  function serialPaths(ctx, n) {
+    const { dir, file, serialKey } = renderName(ctx, n);
+    // never let a rendered folder land inside our own tmp dirs
+    const folder = RESERVED_DIRS.has(dir.split('/')[0]) ? `_${dir}` : dir;
+    return { folder, serialKey, savedName: folder ? `${folder}/${file}` : file };
+  }
+
+  async function reserveSerial(ctx) {
+    for (let n = 0; n < 1e6; n++) {
+      const { folder, serialKey, savedName } = serialPaths(ctx, n);
+
+      // Skip used serials fast
+      if (await storage.isSerialUsed(folder, serialKey)) {
+        if (RES_LOG) console.info('[reserve] used:', serialKey);
+        continue;
+      }
+
+      // Acquire lock (a stale one is cleared for the next attempt)
+      if (!(await storage.lock(folder, serialKey, LOCK_TTL))) {
+        if (RES_LOG) console.info('[reserve] locked:', serialKey);
+        continue;
+      }
+
+      // Re-check after lock to avoid races
+      if (await storage.isSerialUsed(folder, serialKey)) {
+        await storage.unlock(folder, serialKey);
+        if (RES_LOG) console.info('[reserve] race used, unlock:', serialKey);
+        continue;
+      }
+
+      if (RES_LOG) console.info('[reserve] OK:', serialKey, '->', savedName);
+      return { folder, serialKey, savedName, n };
+    }
+    throw new Error('Could not allocate unique serial');
+  }
+
+  // savedName is the storage key (just the file name with a flat template)
+  async function finalizeReservation(tmpPath, { folder, serialKey, savedName }) {
+    try {
+      await storage.putFile(savedName, tmpPath);
+    } finally {
+      await storage.unlock(folder, serialKey);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Chunk assembly (merge to temp + hash in one pass) – safer close
+  //   chunkInfo: { [index]: { size, sha256 } } as verified on arrival
+  // ------------------------------------------------------------
+  async function findUnusableChunks(uploadId, totalChunks, chunkInfo) {
+    const bad = [];
+    for (let i = 0; i < totalChunks; i++) {
+      const st = await fs.promises.stat(getChunkPath(uploadId, i)).catch(() => null);
+      if (!st || !chunkInfo[i] || st.size !== chunkInfo[i].size) bad.push(i);
+    }
+    return bad;
+  }
+
+  async function assembleChunksToTemp(uploadId, totalChunks, tmpOutPath, chunkInfo = {}) {
+    await fs.promises.mkdir(path.dirname(tmpOutPath), { recursive: true });
+    const out = fs.createWriteStream(tmpOutPath);
+    const hasher = crypto.createHash('sha256');
+    const corrupt = []; // indices whose bytes no longer match the checksum they arrived with
+
+    try {
+      for (let i = 0; i < totalChunks; i++) {
+        const part = getChunkPath(uploadId, i);
+        if (!fs.existsSync(part)) throw new Error(`Missing chunk #${i}`);
+        const partHash = crypto.createHash('sha256');
+
+        // Pipe this source into the shared writer, hash as we go.
+        // Chunks stay on disk until the caller has accepted the result.
+        await new Promise((resolve, reject) => {
+          const r = fs.createReadStream(part);
+          r.on('data', c => { hasher.update(c); partHash.update(c); });
+          r.on('error', reject);
+          r.on('end', resolve);
+          r.pipe(out, { end: false });
+        });
+        const want = chunkInfo[i]?.sha256;
+        if (want && partHash.digest('hex') !== want) corrupt.push(i);
+      }
+
+      // Close writer only on success and wait for 'finish'
+      out.end();
+      await once(out, 'finish');
+      return { sha256: hasher.digest('hex'), size: out.bytesWritten, corrupt };
+    } catch (e) {
+      out.destroy(); // tear down writer on error
+      throw e;
+    }
+  }
+
+  async function removeChunks(uploadId, indices) {
+    await Promise.all(indices.map(i => fs.promises.unlink(getChunkPath(uploadId, i)).catch(() => {})));
+  }
+
+  const range = n => Array.from({ length: n }, (_, i) => i);
+
+  // ------------------------------------------------------------
+  // App bootstrap
+  // ------------------------------------------------------------
+  const app = options.app || fastify({ logger: options.logger ?? true });
+
+  // Schema failures and thrown httpError()s -> 4xx { error, code }; the rest -> 500
+  app.setErrorHandler((err, req, reply) => {
+    if (!(err.statusCode >= 400 && err.statusCode < 500)) req.log.error(err, 'unhandled error');
+    return replyError(reply, err);
+  });
+
+  // ------------------------------------------------------------
+  // Outbound webhooks (WEBHOOK_URLS, WEBHOOK_SECRET, optional WEBHOOK_EVENTS)
+  // ------------------------------------------------------------
+  const webhooks = createWebhookDispatcher({
+    targets: parseWebhookTargets(config.webhooks),
+    deadLetterFile: webhookDeadLetterFile,
+    log: app.log
+  });
+
+  // Log entry as sent to receivers: every field except the uploader's key (a credential)
+  const eventEntry = ({ authKey, ...entry }) => entry;
+
+  function emitUploadFailed(authKey, info) {
+    webhooks.emit('upload.failed', { fullName: users[authKey] || null, timestamp: new Date().toISOString(), ...info });
+  }
+
+  // One auth.rejected per client address per minute, so a key-guessing loop can't flood receivers
+  const AUTH_EVENT_WINDOW = 60 * 1000;
+  const lastAuthEvent = new Map(); // ip -> { at, suppressed }
+  app.addHook('onResponse', async (req, reply) => {
+    if (reply.statusCode !== 403 || !webhooks.enabled) return;
+    const now = Date.now();
+    const seen = lastAuthEvent.get(req.ip);
+    if (seen && now - seen.at < AUTH_EVENT_WINDOW) { seen.suppressed++; return; }
+    lastAuthEvent.set(req.ip, { at: now, suppressed: 0 });
+    if (lastAuthEvent.size > 10000) lastAuthEvent.clear();
+    webhooks.emit('auth.rejected', {
+      method: req.method,
+      path: req.url.split('?')[0], // the query may carry the rejected key
+      ip: req.ip,
+      suppressed: seen?.suppressed || 0,
+      timestamp: new Date(now).toISOString()
+    });
+  });
+
+  // ------------------------------------------------------------
+  // Metrics (Prometheus text format at /metrics)
+  //   route label: direct (/upload) · chunked (/upload-chunk + /upload-manifest) · tus · precheck (/upload-check)
+  // ------------------------------------------------------------
+  const metrics = createMetricsRegistry();
+  const uploadsCompleted = metrics.counter('upload_completed_total', 'Uploads stored as a new file', ['route']);
+  const uploadsDeduped   = metrics.counter('upload_deduped_total', 'Uploads matched to a file already stored', ['route']);
+  const uploadsFailed    = metrics.counter('upload_failed_total', 'Direct uploads and chunk assemblies answered with an error', ['route', 'status']);
+  const userUploads      = metrics.counter('upload_user_files_total', 'Uploads per uploader', ['user', 'outcome']);
+  const bytesReceived    = metrics.counter('upload_received_bytes_total', 'Upload bytes written to disk, retries included', ['route']);
+  const chunkRetries     = metrics.counter('upload_chunk_retries_total', 'Chunks sent again for an index that was already attempted');
+  const authFailures     = metrics.counter('upload_auth_failures_total', 'Requests refused with 403', ['route']);
+  const assemblyDuration = metrics.histogram('upload_assembly_duration_seconds', 'Merging and verifying the chunks of one upload', ['outcome']);
+
+  const countEntries = async (dir, pred) => {
+    let n = 0;
+    try { for await (const d of await fs.promises.opendir(dir)) if (pred(d)) n++; } catch {}
+    return n;
+  };
+  metrics.gauge('upload_chunked_in_flight', 'Chunked uploads with accepted chunks, not yet assembled', [],
+    () => countEntries(chunkDir, d => d.isDirectory() && d.name.endsWith('.received')));
+  metrics.gauge('upload_assemblies_running', 'Chunked uploads being assembled right now', [], () => finalizing.size);
+  metrics.gauge('upload_pending_manifests', 'Chunk manifests whose upload has not been assembled', [],
+    () => countEntries(manifestDir, d => d.isFile() && d.name.endsWith('.json')));
+  metrics.gauge('upload_dir_bytes', 'Bytes held in the temp, chunk and tus directories', ['dir'], async () => [
+    { labels: { dir: 'tmp' }, value: await dirSize(tmpUploadDir) },
+    { labels: { dir: 'chunks' }, value: await dirSize(chunkDir) },
+    { labels: { dir: 'tus' }, value: await dirSize(tusDir) }
+  ]);
+
+  function countIngest(route, entry) {
+    (entry.deduped ? uploadsDeduped : uploadsCompleted).inc({ route });
+    userUploads.inc({ user: entry.fullName || 'unknown', outcome: entry.deduped ? 'deduped' : 'stored' });
+  }
+
+  // Upload outcomes that only the status code tells (route-level refusals and 5xx)
+  const FAILURE_ROUTES = { '/upload': 'direct', '/upload-manifest': 'chunked' };
+  app.addHook('onResponse', async (req, reply) => {
+    const status = reply.statusCode;
+    if (status === 403) authFailures.inc({ route: req.routeOptions.url || 'unmatched' });
+    const route = FAILURE_ROUTES[req.routeOptions.url];
+    if (route && status >= 400) uploadsFailed.inc({ route, status });
+  });
+
+  // The tunnel adds cf-connecting-ip; without a token, only direct (LAN) scrapes get through
+  app.get('/metrics', async (req, reply) => {
+    const allowed = METRICS_TOKEN
+      ? safeEqual(String(req.headers.authorization || ''), `Bearer ${METRICS_TOKEN}`)
+      : !req.headers['cf-connecting-ip'];
+    if (!allowed) return reply.status(403).send({ error: 'Metrics token required', code: 'METRICS_FORBIDDEN' });
+    return reply.header('Cache-Control', 'no-store').type(METRICS_CONTENT_TYPE).send(await metrics.render());
+  });
+
+  // ------------------------------------------------------------
+  // Live feed (SSE) of completed uploads, for slideshow screens
+  // ------------------------------------------------------------
+  const FEED_RECENT = 50; // entries a new screen starts with
+  const liveFeed = createLiveFeed({ log: app.log });
+  app.addHook('preClose', async () => liveFeed.close()); // open streams would hold app.close()
+
+  // Only new, viewable files; dedupes point at something already shown
+  const feedable = e => !!(e?.savedName && e.hash && !e.deduped && !e.quarantined && !e.deleted);
+
+  // What a screen needs; pixels come from /thumb/<sha256>/(preview|poster).jpg
+  const feedItem = e => ({
+    id: e.id,
+    savedName: e.savedName,
+    fullName: e.fullName || null,
+    originalName: e.originalName,
+    mediaType: entryMediaType(e),
+    timestamp: e.timestamp,
+    sha256: e.hash
+  });
+
+  // Initial frames for a (re)connecting screen: what it missed after lastEventId, else the most recent
+  function feedBacklog(lastEventId) {
+    const all = uploadLog.all();
+    const from = lastEventId ? all.findIndex(e => e.id === lastEventId) : -1;
+    if (from >= 0) {
+      return all.slice(from + 1).filter(feedable).map(e => ({ event: 'upload', data: feedItem(e), id: e.id }));
+    }
+    const recent = [];
+    for (let i = all.length - 1; i >= 0 && recent.length < FEED_RECENT; i--) {
+      if (feedable(all[i])) recent.push(feedItem(all[i]));
+    }
+    return [{ event: 'snapshot', data: { items: recent.reverse() }, id: recent.at(-1)?.id }];
+  }
+
+  await app.register(cors, {
+    origin: (origin, cb) => {
+      if (!origin) return cb(null, true);       // same-origin / curl
+      if (DEV) return cb(null, true);           // allow in dev
+      // tighten in production
+      return cb(null, config.cors.origins.includes(origin));
+    },
+    methods: ['GET','POST','OPTIONS','HEAD','PATCH','DELETE'],
+    allowedHeaders: ['Content-Type','Accept', ...TUS_HEADERS],
+    exposedHeaders: TUS_EXPOSED_HEADERS,
+    // let OPTIONS reach the routes: tus answers it with its capability headers
+    preflightContinue: true,
+    strictPreflight: false,
+    maxAge: 86400
+  });
+
+  await app.register(multipart, {
+    limits: {
+      fieldNameSize: config.limits.fieldNameSize,
+      fields: config.limits.maxFields,
+      files: config.limits.maxFilesPerRequest,
+      fileSize: MAX_UPLOAD
+    }
+  });
+
+  await app.register(staticPlugin, {
+    root: path.join(__dirname, 'public'),
+    prefix: '/',
+    setHeaders: (res, filepath) => {
+      if (/\.(woff2?|png|jpe?g|svg|ico)$/i.test(filepath)) {
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      } else if (/\.(js|css)$/i.test(filepath)) {
+        res.setHeader('Cache-Control', 'no-cache');
+      }
+    }
+  });
+
+  await app.register(fastifyHelmet, {
+    contentSecurityPolicy: {
+      directives: { ...config.csp.directives, frameAncestors: config.csp.frameAncestors }
+    }
+  });
+
+  // ------------------------------------------------------------
+  // Auth (hot reload CSV)
+  // ------------------------------------------------------------
+  async function loadUsers() {
+    return new Promise((resolve, reject) => {
+      const names = {}, short = {};
+      fs.createReadStream(authFile)
+        .pipe(csv())
+        .on('data', (row) => {
+          if (!row.AuthKey) return;
+          const key = row.AuthKey.trim();
+          names[key] = (row.FullName || '').trim();
+          short[key] = (row.ShortKey || '').trim();
+        })
+        .on('end', () => resolve({ names, shortKeys: short }))
+        .on('error', reject);
+    });
+  }
+  const userSource = options.users || loadUsers; // embedders may supply their own; only the CSV is watched
+  let users = {};     // authKey -> FullName
+  let shortKeys = {}; // authKey -> ShortKey (naming templates)
+  try { ({ names: users, shortKeys = {} } = await userSource()); } catch { users = {}; shortKeys = {}; }
+  // Admins are listed in ADMIN_KEYS and must still have a row in users.csv
+  const isAdmin = key => !!(key && users[key] && ADMIN_KEYS.has(key));
+
+  async function reloadUsers() {
+    try {
+      ({ names: users, shortKeys = {} } = await userSource());
+      app.log.info({ count: Object.keys(users).length }, 'Auth reloaded');
+    }
+    catch (e) { app.log.error(e, 'Auth reload failed'); }
+  }
+
+  // ------------------------------------------------------------
+  // Upload log + content indexes
+  // ------------------------------------------------------------
+  const uploadLog = options.uploadLog || await openLog();
+
+  // An unparsable log is refused (its entries would be lost at the next compaction)
+  // unless REBUILD_UPLOAD_LOG asks to rebuild it from what still parses and the disk
+  async function openLog() {
+    try {
+      return await openUploadLog({ file: logFile, legacyFile: legacyLogFile, log: app.log });
+    } catch (e) {
+      if (e.code !== 'LOG_CORRUPT') throw e;
+      if (!config.uploads.rebuildLog) {
+        throw new Error(`${e.message}. Rebuild it with "npm run reconcile -- --rebuild", or start once with REBUILD_UPLOAD_LOG=1`);
+      }
+      app.log.warn({ file: e.file, badLines: e.badLines }, 'upload log unparsable, rebuilding it');
+      const { uploadLog: rebuilt, backup, result } = await rebuildUploadLog({
+        file: logFile, legacyFile: legacyLogFile, storage, cacheFile: config.paths.hashCache, log: app.log
+      });
+      app.log.warn({ backup, ...result }, 'upload log rebuilt');
+      return rebuilt;
+    }
+  }
+  const hashIndex = new Map();                      // sha256 -> savedName of a stored copy (thumbs, lookups)
+  const dedupeIndex = createDedupeIndex(DEDUPE_SCOPE); // (sha256, uploader) -> copy a new upload dedupes against
+
+  // Entry still counts for its uploader: not deleted by them, file not taken out of circulation
+  const isLiveEntry = e => !!(e?.hash && e.savedName && !e.quarantined && !e.deleted);
+  // The entry that put a file on disk (not a dedupe pointing at it) while the file is still there;
+  // its uploader may have deleted their upload while someone else's dedupe keeps the file
+  const isStoredEntry = e => !!(e?.hash && !e.deduped && expectsFile(e));
+
+  for (const e of uploadLog.all()) {
+    if (!isLiveEntry(e)) continue;
+    if (!hashIndex.has(e.hash)) hashIndex.set(e.hash, e.savedName);
+    dedupeIndex.add(e.hash, e.authKey, e.savedName);
+  }
+
+  // Near-duplicate index: stored images by perceptual hash (savedName -> dHash)
+  const perceptual = createPerceptualIndex();
+  for (const e of uploadLog.all()) {
+    if (e.phash && isStoredEntry(e)) perceptual.add(e.savedName, e.phash);
+  }
+
+  // Rebuild both content indexes for one hash from its live entries (after a delete, restore or quarantine)
+  function reindexHash(sha256) {
+    const entries = uploadLog.byHash(sha256);
+    hashIndex.delete(sha256);
+    for (const e of entries) dedupeIndex.delete(sha256, e.authKey);
+    for (const e of entries) {
+      if (!isLiveEntry(e)) continue;
+      if (!hashIndex.has(sha256)) hashIndex.set(sha256, e.savedName);
+      dedupeIndex.add(sha256, e.authKey, e.savedName);
+    }
+  }
+
+  // A stored file left circulation (quarantine, trash)
+  function unindexStored(savedName) {
+    perceptual.remove(savedName);
+    for (const sha256 of new Set(uploadLog.bySavedName(savedName).map(e => e.hash).filter(Boolean))) reindexHash(sha256);
+  }
+
+  // ------------------------------------------------------------
+  // Derivatives (thumbnails / previews / video posters)
+  // ------------------------------------------------------------
+  const derivatives = createDerivativeQueue({ derivDir, ffmpegPath: FFMPEG, log: app.log });
+
+  // The source is fetched only when the job runs (a download with S3 storage)
+  const derivativeJob = (savedName, sha256, isVideo) => ({ source: () => storage.localFile(savedName), sha256, isVideo });
+
+  function queueDerivatives(savedName, sha256, isVideo) {
+    derivatives.enqueue(derivativeJob(savedName, sha256, isVideo)).catch(() => {}); // logged by the queue
+  }
+
+  // ------------------------------------------------------------
+  // Post-upload processors (ordered hooks, retried, resumable)
+  // ------------------------------------------------------------
+  const BUILTIN_PROCESSORS = {
+    clamav: () => createClamavHook({
+      socket: config.clamd.socket || (config.clamd.host ? null : '/var/run/clamav/clamd.ctl'),
+      host: config.clamd.host || undefined,
+      port: config.clamd.port
+    })
+  };
+
+  // Move a stored file out of circulation; every log entry pointing at it is flagged
+  async function quarantineStored(savedName, reason) {
+    const base = `.quarantine/${Date.now()}_${crypto.randomUUID()}`;
+    const dest = `${base}${path.extname(savedName)}`;
+    await storage.move(savedName, dest);
+    const flagged = { at: new Date().toISOString(), reason, key: dest };
+    await storage.writeText(`${base}.json`, JSON.stringify({ savedName, ...flagged }, null, 2)).catch(() => {});
+    // tombstone keeps the serial taken ("serial is sacred")
+    await storage.writeText(`${savedName}.quarantined`, JSON.stringify(flagged)).catch(() => {});
+
+    const entries = uploadLog.bySavedName(savedName).filter(e => !e.deleted?.trashId && !e.deleted?.missing); // not an older file under a released serial
+    for (const e of entries) await uploadLog.patch(e.id, { quarantined: flagged });
+    unindexStored(savedName);
+    liveFeed.publish('removed', { savedName });
+    return dest;
+  }
+
+  const processors = createProcessorPipeline({
+    dir: jobsDir,
+    hooks: await loadHooks(PROCESSORS, { builtins: BUILTIN_PROCESSORS, baseDir: __dirname, extra: options.hooks }),
+    log: app.log,
+    resolve: async job => {
+      const entry = uploadLog.get(job.id);
+      if (!expectsFile(entry)) return null;
+      let local;
+      try { local = await storage.localFile(entry.savedName); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+      return {
+        filePath: local.path,
+        release: local.release,
+        entry,
+        user: { authKey: entry.authKey, fullName: users[entry.authKey] || entry.fullName },
+        quarantine: reason => quarantineStored(entry.savedName, reason)
+      };
+    },
+    onStatus: (id, processing) => (uploadLog.get(id) ? uploadLog.patch(id, { processing }) : null)
+  });
+
+  // ------------------------------------------------------------
+  // Delete & trash
+  //   an uploader deletes their own upload within DELETE_WINDOW; their log entries are
+  //   flagged `deleted`, and the file moves to trash only when nobody else's upload still
+  //   points at it. A `.trashed` tombstone keeps the serial while the file can be restored;
+  //   purging applies SERIAL_RELEASE. Trash items (storage keys): .trash/<trashId><ext> + .trash/<trashId>.json
+  // ------------------------------------------------------------
+  const trashInfoKey = trashId => `.trash/${trashId}.json`;
+
+  // Delete, restore and purge touch the same files and entries: one at a time
+  let trashQueue = Promise.resolve();
+  const trashExclusive = fn => (trashQueue = trashQueue.then(fn, fn));
+
+  async function readTrashInfo(trashId) {
+    const text = await storage.readText(trashInfoKey(trashId));
+    if (text == null) throw httpError(404, 'NOT_FOUND', 'No such trash item');
+    return JSON.parse(text);
+  }
+
+  async function listTrash() {
+    const names = (await storage.list('.trash')).filter(n => n.endsWith('.json'));
+    const items = await Promise.all(names.map(n => storage.readText(`.trash/${n}`).then(JSON.parse).catch(() => null)));
+    return items.filter(Boolean).sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+  }
+
+  // -> { savedName, entries, trashId } (trashId null when the file stays for other uploaders)
+  function deleteUpload(entry, by) {
+    return trashExclusive(async () => {
+      const { savedName } = entry;
+      const all = uploadLog.bySavedName(savedName);
+      // this uploader's link to the file goes as a whole (a re-upload that deduped included)
+      const mine = all.filter(e => e.authKey === entry.authKey && !e.deleted && !e.quarantined);
+      const othersRemain = all.some(e => e.authKey !== entry.authKey && isLiveEntry(e));
+      const deletedAt = new Date().toISOString();
+
+      let trashId = null;
+      if (!othersRemain) {
+        trashId = crypto.randomUUID();
+        const stored = mine.find(e => !e.deduped) || entry;
+        const key = `.trash/${trashId}${path.extname(savedName)}`;
+        // tombstone first: the serial must never look free while the file is restorable
+        await storage.writeText(`${savedName}.trashed`, JSON.stringify({ trashId, at: deletedAt }));
+        try { await storage.move(savedName, key); }
+        catch (e) { await storage.remove(`${savedName}.trashed`).catch(() => {}); throw e; }
+        await storage.writeText(trashInfoKey(trashId), JSON.stringify({
+          trashId, savedName, key, sha256: stored.hash, size: stored.size ?? null,
+          mediaType: entryMediaType(stored), originalName: stored.originalName, fullName: users[stored.authKey] || stored.fullName || null,
+          entries: mine.map(e => e.id), deletedAt, deletedBy: users[by] || null
+        }, null, 2));
+      }
+
+      for (const e of mine) await uploadLog.patch(e.id, { deleted: { at: deletedAt, by, ...(trashId && { trashId }) } });
+      if (trashId) {
+        unindexStored(savedName);
+        liveFeed.publish('removed', { savedName });
+      } else {
+        reindexHash(entry.hash);
+      }
+      return { savedName, entries: mine.length, trashId };
+    });
+  }
+
+  function restoreFromTrash(trashId) {
+    return trashExclusive(async () => {
+      const item = await readTrashInfo(trashId);
+      if (await storage.stat(item.savedName)) throw httpError(409, 'NAME_TAKEN', `${item.savedName} exists again`);
+
+      await storage.move(item.key, item.savedName);
+      await storage.remove(`${item.savedName}.trashed`).catch(() => {});
+      await storage.remove(trashInfoKey(trashId));
+
+      const restored = uploadLog.bySavedName(item.savedName).filter(e => e.deleted?.trashId === trashId);
+      for (const e of restored) await uploadLog.patch(e.id, { deleted: null });
+      for (const e of restored) if (e.phash && isStoredEntry(e)) perceptual.add(e.savedName, e.phash);
+      reindexHash(item.sha256);
+      for (const e of restored) if (!e.deduped) liveFeed.publish('upload', feedItem(uploadLog.get(e.id)), e.id);
+      return { savedName: item.savedName, entries: restored.length };
+    });
+  }
+
+  function purgeFromTrash(trashId) {
+    return trashExclusive(async () => {
+      const item = await readTrashInfo(trashId);
+      await storage.remove(item.key);
+      const tombstone = `${item.savedName}.trashed`;
+      if (SERIAL_RELEASE === 'release') await storage.remove(tombstone).catch(() => {});
+      else await storage.move(tombstone, `${item.savedName}.deleted`).catch(() => {});
+      if (!hashIndex.has(item.sha256)) await rmrf(derivativeDir(derivDir, item.sha256)); // no other copy needs them
+      await storage.remove(trashInfoKey(trashId));
+
+      const purgedAt = new Date().toISOString();
+      for (const e of uploadLog.bySavedName(item.savedName)) {
+        if (e.deleted?.trashId === trashId) await uploadLog.patch(e.id, { deleted: { ...e.deleted, purgedAt } });
+      }
+      return { savedName: item.savedName, serial: SERIAL_RELEASE === 'release' ? 'released' : 'kept' };
+    });
+  }
+
+  // ------------------------------------------------------------
+  // Ingest: dedupe (DEDUPE_SCOPE) -> metadata -> reserve -> finalize -> log
+  //   shared by /upload, /upload-manifest and tus; tmpPath is consumed
+  // ------------------------------------------------------------
+  // Content that failed sniffing: deleted, or kept aside with a sidecar for review
+  async function disposeRejected(tmpPath, info) {
+    if (!QUARANTINE) return fs.promises.unlink(tmpPath).catch(() => {});
+    const base = `.quarantine/${Date.now()}_${crypto.randomUUID()}`;
+    await storage.putFile(`${base}.bin`, tmpPath).catch(() => fs.promises.unlink(tmpPath).catch(() => {}));
+    await storage.writeText(`${base}.json`, JSON.stringify({ ...info, quarantinedAt: new Date().toISOString() }, null, 2)).catch(() => {});
+  }
+
+  //   archive: { originalName, sha256, entry } when the file came out of an uploaded ZIP
+  //   route: metrics label of the upload path (direct, chunked, tus)
+  async function ingestFile({ tmpPath, sha256, size, authKey, originalName, archive = null, route = 'direct' }) {
+    const user = users[authKey];
+
+    // What the bytes really are decides kind, prefix and extension (never the client)
+    const detected = await sniffFile(tmpPath, originalName);
+    if (!detected || !ALLOWED_TYPES.has(detected.type)) {
+      await disposeRejected(tmpPath, { authKey, originalName, sha256, size, detected: detected?.type || null });
+      emitUploadFailed(authKey, { originalName, hash: sha256, size, code: 'UNSUPPORTED_CONTENT', detected: detected?.type || null });
+      throw httpError(415, 'UNSUPPORTED_CONTENT',
+        detected ? `${detected.mime} uploads are not allowed` : 'File content is not a supported image or video',
+        { filename: originalName });
+    }
+    const isVideo = detected.kind === 'video';
+    const mediaType = detected.kind;
+
+    // Dedupe by content hash, within DEDUPE_SCOPE
+    const existing = dedupeIndex.get(sha256, authKey);
+    if (existing) {
+      await fs.promises.unlink(tmpPath).catch(() => {});
+      return recordDedupe({ authKey, originalName, sha256, size, mediaType, savedName: existing, archive, route });
+    }
+
+    // EXIF / container metadata (capture date also feeds the naming template)
+    const metadata = await extractMetadata(tmpPath);
+
+    // Same picture, different bytes (re-export, resize, stripped EXIF): flagged, still stored
+    const phash = mediaType === 'image' ? await computeDHash(tmpPath) : null;
+    const nearDuplicates = phash ? nearStoredImages(phash, sha256) : [];
+
+    // Reserve serial (ext-agnostic) & finalize
+    const reservation = await reserveSerial(namingContext(authKey, {
+      isVideo, ext: detected.ext, originalName, sha256,
+      captureDate: captureDateForNaming(metadata.captureDate)
+    }));
+    await finalizeReservation(tmpPath, reservation);
+    const { savedName } = reservation;
+    queueDerivatives(savedName, sha256, isVideo);
+
+    if (!hashIndex.has(sha256)) hashIndex.set(sha256, savedName);
+    dedupeIndex.add(sha256, authKey, savedName);
+    const entry = await uploadLog.append({
+      authKey, fullName: user, originalName,
+      savedName, timestamp: new Date().toISOString(), hash: sha256, size, mediaType, mime: detected.mime, metadata,
+      ...(mediaType === 'image' && { phash }), // null: not decodable, don't retry
+      ...(nearDuplicates.length && { nearDuplicates }),
+      ...(archive && { archive })
+    });
+    perceptual.add(savedName, phash);
+    if (nearDuplicates.length) app.log.info({ savedName, nearDuplicates }, 'possible near-duplicate upload');
+    processors.enqueue(entry.id).catch(err => app.log.error(err, 'processor enqueue failed'));
+    webhooks.emit('upload.completed', eventEntry(entry));
+    countIngest(route, entry);
+    liveFeed.publish('upload', feedItem(entry), entry.id);
+    return { deduped: false, savedName, entry };
+  }
+
+  // A duplicate is still logged under the uploader, pointing at the stored copy.
+  //   precheck: true when the client skipped the transfer after /upload-check
+  async function recordDedupe({ authKey, originalName, sha256, size, mediaType, savedName, precheck = false, archive = null, route = 'direct' }) {
+    const entry = await uploadLog.append({
+      authKey, fullName: users[authKey], originalName,
+      savedName, timestamp: new Date().toISOString(),
+      hash: sha256, deduped: true, size, mediaType,
+      ...(precheck && { precheck: true }),
+      ...(archive && { archive })
+    });
+    webhooks.emit('upload.deduped', eventEntry(entry));
+    countIngest(precheck ? 'precheck' : route, entry);
+    return { deduped: true, savedName, entry };
+  }
+
+  // Per-entry problems that skip that entry; anything else aborts the archive
+  const ENTRY_ERRORS = new Set(['CORRUPT_ENTRY', 'ENCRYPTED_ENTRY', 'UNSUPPORTED_COMPRESSION']);
+
+  // ZIP upload: each media entry goes through ingestFile on its own; the archive itself is not kept.
+  //   admission: the disk reservation the upload came in under (its bytes are on disk by now)
+  //   -> { filename, extracted, deduped, files: [savedName], skipped: [{ name, code, reason }], nearDuplicates }
+  async function ingestArchive({ tmpPath, sha256, authKey, originalName, route = 'direct', admission = null }) {
+    const report = { filename: originalName, extracted: 0, deduped: 0, files: [], skipped: [], nearDuplicates: [] };
+    const reservation = `archive:${crypto.randomUUID()}`;
+    try {
+      let entries;
+      try { entries = await readZipEntries(tmpPath); }
+      catch (e) {
+        if (!e.code?.includes('ARCHIVE')) throw e;
+        throw httpError(e.code === 'ARCHIVE_TOO_LARGE' ? 413 : 422, e.code, e.message, { filename: originalName });
+      }
+      const expanded = entries.reduce((n, e) => n + e.size, 0);
+      if (expanded > MAX_ARCHIVE_EXPANDED) {
+        throw httpError(413, 'ARCHIVE_TOO_LARGE', 'Archive unpacks to more than the upload limit allows', { filename: originalName });
+      }
+      // the upload's own admission only covered the compressed bytes; hand it back first
+      // so the archive isn't counted twice
+      if (admission) diskGuard.release(admission);
+      await diskGuard.admit(expanded, reservation);
+
+      for (const e of entries) {
+        if (e.isDir) continue;
+        const skip = (code, reason) => report.skipped.push({ name: e.name, code, reason });
+        const base = e.name.split('/').pop();
+        if (e.name.startsWith('__MACOSX/') || base.startsWith('._')) { skip('NOT_MEDIA', 'macOS resource fork'); continue; }
+        if (isArchiveFilename(base)) { skip('NESTED_ARCHIVE', 'Archives inside archives are not unpacked'); continue; }
+        let name;
+        try { name = assertMediaFilename(base); } catch (err) { skip(err.code, err.message); continue; }
+        if (e.size > MAX_UPLOAD) { skip('FILE_TOO_LARGE', 'Entry exceeds the upload size limit'); continue; }
+
+        const entryTmp = path.join(tmpUploadDir, `${Date.now()}_${crypto.randomUUID()}${path.extname(name).toLowerCase()}`);
+        let staged;
+        try {
+          const tee = hashingTee('sha256');
+          const out = fs.createWriteStream(entryTmp);
+          await pipeline(await openEntryStream(tmpPath, e), tee, out);
+          staged = { sha256: tee.digestHex(), size: out.bytesWritten };
+          diskGuard.consume(reservation, staged.size);
+        } catch (err) {
+          await fs.promises.unlink(entryTmp).catch(() => {});
+          if (!ENTRY_ERRORS.has(err.code)) throw err;
+          skip(err.code, err.message);
+          continue;
+        }
+
+        try {
+          const result = await ingestFile({
+            tmpPath: entryTmp, ...staged, authKey, originalName: name,
+            archive: { originalName, sha256, entry: e.name }, route
+          });
+          if (result.deduped) report.deduped++;
+          else { report.extracted++; report.files.push(result.savedName); }
+          const near = nearDuplicateNote(result);
+          if (near) report.nearDuplicates.push(near);
+        } catch (err) {
+          if (err.statusCode !== 415) throw err;
+          skip(err.code, err.message);
+        }
+      }
+    } finally {
+      diskGuard.release(reservation);
+      await fs.promises.unlink(tmpPath).catch(() => {});
+    }
+    return report;
+  }
+
+  // Stored size for a hash (log first, disk as fallback)
+  async function storedSize(sha256, savedName) {
+    const known = uploadLog.byHash(sha256).find(e => Number.isFinite(e.size));
+    if (known) return known.size;
+    return storage.stat(savedName).then(st => st?.size ?? null).catch(() => null);
+  }
+
+  // ------------------------------------------------------------
+  // Near-duplicates (perceptual hashes, backend/perceptual.js)
+  // ------------------------------------------------------------
+  // Upload response note for a freshly stored file that looks like one already stored
+  function nearDuplicateNote(result) {
+    const similarTo = !result.deduped && result.entry.nearDuplicates;
+    return similarTo ? { savedName: result.savedName, similarTo } : null;
+  }
+
+  // Stored images that look like `phash`; identical bytes stored again under
+  // DEDUPE_SCOPE=user|off are there by policy and not flagged
+  function nearStoredImages(phash, sha256, exclude = null) {
+    return perceptual.near(phash, NEAR_DISTANCE, { exclude })
+      .filter(n => uploadLog.bySavedName(n.savedName).find(e => !e.deleted)?.hash !== sha256)
+      .slice(0, 10);
+  }
+
+  // Images stored before perceptual hashing get one in the background, oldest first
+  async function backfillPerceptualHashes() {
+    let count = 0;
+    for (const e of uploadLog.all()) {
+      if (e.phash !== undefined || !isStoredEntry(e) || entryMediaType(e) !== 'image') continue;
+      const local = await storage.localFile(e.savedName).catch(() => null);
+      const phash = local ? await computeDHash(local.path) : null;
+      await local?.release();
+      const nearDuplicates = phash ? nearStoredImages(phash, e.hash, e.savedName) : [];
+      perceptual.add(e.savedName, phash);
+      await uploadLog.patch(e.id, { phash, ...(nearDuplicates.length && { nearDuplicates }) });
+      count++;
+    }
+    if (count) app.log.info({ images: count }, 'perceptual hashes backfilled');
+  }
+
+  // Clusters among stored images, from the links recorded when each one arrived
+  function nearDuplicateClusters() {
+    const links = [];
+    for (const e of uploadLog.all()) {
+      if (!e.nearDuplicates || !perceptual.has(e.savedName)) continue;
+      for (const n of e.nearDuplicates) {
+        if (perceptual.has(n.savedName)) links.push({ a: e.savedName, b: n.savedName, distance: n.distance });
+      }
+    }
+    return clusterLinks(links);
+  }
+
+  // ------------------------------------------------------------
+  // Upload log queries (per-user listing)
+  // ------------------------------------------------------------
+  const FILES_PAGE_MAX = 500;
+
+  // Older entries predate mediaType; the serial tag in savedName tells us.
+  function entryMediaType(e) {
+    if (e.mediaType) return e.mediaType;
+    if (/_VID-\d+/.test(e.savedName || '')) return 'video';
+    if (/_IMG-\d+/.test(e.savedName || '')) return 'image';
+    return null;
+  }
+
+  async function entrySize(e) {
+    if (Number.isFinite(e.size)) return e.size;
+    if (!e.savedName) return null;
+    return storage.stat(e.savedName).then(st => st?.size ?? null).catch(() => null);
+  }
+
+  // End of the uploader's own delete window
+  function deletableUntil(e) {
+    const t = Date.parse(e.timestamp);
+    return Number.isNaN(t) ? null : new Date(t + DELETE_WINDOW).toISOString();
+  }
+
+  // by: 'uploaded' (log timestamp) or 'captured' (EXIF/container date, else upload time)
+  function entrySortTime(e, by) {
+    const cap = by === 'captured' ? captureDateForNaming(e.metadata?.captureDate) : null;
+    return cap ? cap.getTime() : Date.parse(e.timestamp || 0);
+  }
+
+  // Everyone who uploaded a stored file and the names they used; under global dedupe
+  // later uploaders are logged against the first copy, so the log already has them all
+  function fileContributors(savedName) {
+    const byKey = new Map();
+    for (const e of uploadLog.bySavedName(savedName)) {
+      if (e.deleted) continue;
+      let c = byKey.get(e.authKey);
+      if (!c) {
+        c = { fullName: users[e.authKey] || e.fullName || null, originalNames: [], uploads: 0, firstUploaded: e.timestamp, stored: false };
+        byKey.set(e.authKey, c);
+      }
+      if (e.originalName && !c.originalNames.includes(e.originalName)) c.originalNames.push(e.originalName);
+      c.uploads++;
+      if (!e.deduped) c.stored = true; // this upload is the copy on disk
+    }
+    return [...byKey.values()].sort((a, b) => Date.parse(a.firstUploaded || 0) - Date.parse(b.firstUploaded || 0));
+  }
+
+  async function listUserFiles(authKey, { page = 1, limit = 50, order = 'desc', by = 'uploaded', type = null } = {}) {
+    const matches = uploadLog.byAuthKey(authKey).filter(e => !e.quarantined && !e.deleted && (!type || entryMediaType(e) === type));
+    matches.sort((a, b) => {
+      const d = entrySortTime(a, by) - entrySortTime(b, by);
+      return order === 'asc' ? d : -d;
+    });
+
+    const start = (page - 1) * limit;
+    const files = await Promise.all(matches.slice(start, start + limit).map(async e => ({
+      id: e.id,
+      originalName: e.originalName,
+      savedName: e.savedName,
+      timestamp: e.timestamp,
+      sha256: e.hash,
+      deduped: !!e.deduped,
+      size: await entrySize(e),
+      mediaType: entryMediaType(e),
+      metadata: e.metadata || null,
+      processing: e.processing?.state || null,
+      contributors: new Set(uploadLog.bySavedName(e.savedName).filter(x => !x.deleted).map(x => x.authKey)).size,
+      deletableUntil: deletableUntil(e)
+    })));
+
+    return { total: matches.length, page, limit, files };
+  }
+
+  // ?from=2025-06-01&to=2025-06-30 (UTC days, inclusive) or full ISO timestamps
+  function parseDateRange({ from, to }) {
+    const start = from ? Date.parse(from) : -Infinity;
+    let end = to ? Date.parse(to) : Infinity;
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw httpError(400, 'INVALID_DATE', 'from/to must be dates (YYYY-MM-DD) or ISO timestamps');
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to || '')) end += 24 * 60 * 60 * 1000 - 1;
+    if (start > end) throw httpError(400, 'INVALID_DATE_RANGE', 'from must not be after to');
+    return { start, end };
+  }
+
+  // ------------------------------------------------------------
+  // ZIP downloads (streamed, see backend/zipStream.js)
+  // ------------------------------------------------------------
+  // Stored files behind `entries`, once per savedName (dedupes share a file), skipping anything gone
+  async function zipSelection(entries) {
+    const seen = new Set();
+    const files = [];
+    for (const e of entries) {
+      if (!e.savedName || e.quarantined || e.deleted || seen.has(e.savedName)) continue;
+      seen.add(e.savedName);
+      const key = e.savedName;
+      const st = await storage.stat(key).catch(() => null);
+      if (st) files.push({ name: key, size: st.size, mtime: st.mtime, open: () => storage.read(key) });
+    }
+    return files;
+  }
+
+  function filterEntries(entries, { from, to, by = 'uploaded', type = null }) {
+    const { start, end } = parseDateRange({ from, to });
+    return entries.filter(e => {
+      if (type && entryMediaType(e) !== type) return false;
+      const t = entrySortTime(e, by);
+      return t >= start && t <= end;
+    });
+  }
+
+  async function sendZip(req, reply, entries, label) {
+    const files = await zipSelection(entries);
+    if (!files.length) return reply.status(404).send({ error: 'No files match', code: 'NO_FILES' });
+    const tooBig = zipLimits(files);
+    if (tooBig) {
+      return reply.status(413).send({
+        error: `Selection is ${tooBig}; narrow it with from/to or type`, code: 'ZIP_TOO_LARGE', files: files.length
+      });
+    }
+
+    const filename = `${label}-${new Date().toISOString().slice(0, 10)}.zip`.replace(/[^\w.-]+/g, '_');
+    const zip = createZipStream(files);
+    zip.on('error', err => req.log.error(err, 'zip download aborted'));
+    req.log.info({ files: files.length, label }, 'zip download started');
+    return reply
+      .header('Content-Type', 'application/zip')
+      .header('Content-Length', zipSize(files))
+      .header('Content-Disposition', `attachment; filename="${filename}"`)
+      .header('Cache-Control', 'no-store')
+      .send(zip);
+  }
+
+  // ------------------------------------------------------------
+  // Routes
+  // ------------------------------------------------------------
+
+  // Index: inject authKey into HTML template if provided
+  app.get('/', async (req, reply) => {
+    try {
+      const htmlPath = path.join(__dirname, 'public', 'index.html');
+      let html = await fs.promises.readFile(htmlPath, 'utf-8');
+
+      const urlKey = (req.query?.authKey || '').toString().trim();
+      const valid = !!(urlKey && users[urlKey]);
+      const injected = valid ? urlKey : 'UNAUTHENTICATED';
+
+      // inject into template; see index.html change below
+      html = html.replace('{{authKey}}', injected);
+
+      reply.type('text/html').send(html);
+    } catch (err) {
+      reply.code(500).send('Error loading page: ' + err);
+    }
+  });
+
+  // Health
+  app.get('/healthz', async () => ({
+    ok: true,
+    host: HOST,
+    port: PORT,
+    pid: process.pid,
+    disk: await diskGuard.capacity().catch(e => ({ error: e.message }))
+  }));
+
+  // Upload tuning for the browser client, so it never sends what the server would refuse
+  app.get('/config', async (_req, reply) => reply.header('Cache-Control', 'no-cache').send(clientConfig(config)));
+
+  // Check if authKey is valid
+  app.post('/auth-check', async (req, reply) => {
+    try {
+      // Accept either JSON or multipart with a "authKey" field
+      let key = '';
+      const ct = (req.headers['content-type'] || '').toLowerCase();
+
+      if (ct.includes('application/json')) {
+        key = (req.body?.authKey || '').toString().trim();
+      } else if (ct.includes('multipart/form-data')) {
+        const parts = req.parts();
+        for await (const p of parts) {
+          if (p.type === 'field' && p.fieldname === 'authKey') { key = (p.value || '').trim(); break; }
+        }
+      } else {
+        // also support x-www-form-urlencoded
+        key = (req.body?.authKey || '').toString().trim();
+      }
+
+      const fullName = users[key];
+      if (fullName) return reply.send({ valid: true, fullName });
+      return reply.send({ valid: false });
+    } catch {
+      return reply.code(400).send({ valid: false });
+    }
+  });
+
+  // Caller's uploads: ?authKey=&page=1&limit=50&sort=desc|asc&by=uploaded|captured&type=image|video
+  const filesSchema = {
+    querystring: {
+      type: 'object',
+      required: ['authKey'],
+      properties: {
+        authKey: authKeySchema,
+        page:  { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: FILES_PAGE_MAX, default: 50 },
+        sort:  { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+        by:    { type: 'string', enum: ['uploaded', 'captured'], default: 'uploaded' },
+        type:  { type: 'string', enum: ['image', 'video'] }
+      }
+    }
+  };
+  app.get('/files', { schema: filesSchema }, async (req, reply) => {
+    const { authKey, page, limit, sort: order, by, type = null } = req.query;
+    if (!users[authKey.trim()]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    try {
+      return reply.send(await listUserFiles(authKey.trim(), { page, limit, order, by, type }));
+    } catch (e) {
+      req.log.error(e, 'file listing failed');
+      return replyError(reply, e, 'Failed to list files');
+    }
+  });
+
+  // Contributors of one stored file: ?authKey=&savedName= (admins, or anyone who uploaded it)
+  const contributorsSchema = {
+    querystring: {
+      type: 'object',
+      required: ['authKey', 'savedName'],
+      properties: { authKey: authKeySchema, savedName: { type: 'string', minLength: 1, maxLength: 1024 } }
+    }
+  };
+  app.get('/file-contributors', { schema: contributorsSchema }, async (req, reply) => {
+    const key = req.query.authKey.trim();
+    if (!users[key]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    const { savedName } = req.query;
+    const entries = uploadLog.bySavedName(savedName).filter(e => !e.deleted);
+    if (!entries.length || !(isAdmin(key) || entries.some(e => e.authKey === key))) {
+      return reply.status(404).send({ error: 'Not found', code: 'NOT_FOUND' });
+    }
+    const stored = entries.find(e => !e.deduped) || entries[0];
+    return reply.send({ savedName, sha256: stored.hash, dedupeScope: DEDUPE_SCOPE, contributors: fileContributors(savedName) });
+  });
+
+  // ZIP of the caller's own uploads: ?authKey=&from=&to=&by=uploaded|captured&type=image|video
+  const downloadFilters = {
+    from: { type: 'string', maxLength: 40 },
+    to:   { type: 'string', maxLength: 40 },
+    by:   { type: 'string', enum: ['uploaded', 'captured'], default: 'uploaded' },
+    type: { type: 'string', enum: ['image', 'video'] }
+  };
+  const downloadSchema = {
+    querystring: { type: 'object', required: ['authKey'], properties: { authKey: authKeySchema, ...downloadFilters } }
+  };
+  app.get('/download', { schema: downloadSchema }, async (req, reply) => {
+    const key = req.query.authKey.trim();
+    if (!users[key]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    return sendZip(req, reply, filterEntries(uploadLog.byAuthKey(key), req.query), `uploads-${users[key]}`);
+  });
+
+  // Admin ZIP of everyone's uploads: same filters plus ?uploader=<full name>
+  const adminDownloadSchema = {
+    querystring: {
+      type: 'object',
+      required: ['authKey'],
+      properties: { authKey: authKeySchema, uploader: { type: 'string', minLength: 1, maxLength: 200 }, ...downloadFilters }
+    }
+  };
+  app.get('/admin/download', { schema: adminDownloadSchema }, async (req, reply) => {
+    if (!isAdmin(req.query.authKey.trim())) return reply.status(403).send({ error: 'Admin key required', code: 'ADMIN_REQUIRED' });
+
+    const uploader = req.query.uploader?.trim().toLowerCase();
+    let entries = uploadLog.all();
+    if (uploader) entries = entries.filter(e => (users[e.authKey] || e.fullName || '').toLowerCase() === uploader);
+    return sendZip(req, reply, filterEntries(entries, req.query), uploader ? `uploads-${req.query.uploader}` : 'uploads-all');
+  });
+
+  // Admin review of likely near-duplicates: ?authKey=&page=&limit=
+  const nearDuplicatesSchema = {
+    querystring: {
+      type: 'object',
+      required: ['authKey'],
+      properties: {
+        authKey: authKeySchema,
+        page:  { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+      }
+    }
+  };
+  app.get('/admin/near-duplicates', { schema: nearDuplicatesSchema }, async (req, reply) => {
+    if (!isAdmin(req.query.authKey.trim())) return reply.status(403).send({ error: 'Admin key required', code: 'ADMIN_REQUIRED' });
+
+    const { page, limit } = req.query;
+    const clusters = nearDuplicateClusters();
+    const describe = savedName => {
+      const entries = uploadLog.bySavedName(savedName).filter(x => !x.deleted); // a released serial may name an older, purged file too
+      const e = entries.find(x => !x.deduped) || entries[0];
+      return {
+        savedName, originalName: e.originalName, fullName: e.fullName || null, timestamp: e.timestamp,
+        sha256: e.hash, size: e.size ?? null, uploads: entries.length
+      };
+    };
+    const start = (page - 1) * limit;
+    return reply.send({
+      total: clusters.length, page, limit,
+      clusters: clusters.slice(start, start + limit).map(c => ({ maxDistance: c.maxDistance, files: c.members.map(describe) }))
+    });
+  });
+
+  // Admin trash: files their uploaders deleted, newest first
+  const adminKeySchema = {
+    querystring: { type: 'object', required: ['authKey'], properties: { authKey: authKeySchema } }
+  };
+  app.get('/admin/trash', { schema: adminKeySchema }, async (req, reply) => {
+    if (!isAdmin(req.query.authKey.trim())) return reply.status(403).send({ error: 'Admin key required', code: 'ADMIN_REQUIRED' });
+
+    const items = await listTrash();
+    return reply.send({
+      serialRelease: SERIAL_RELEASE,
+      items: items.map(({ key: _key, ...item }) => item)
+    });
+  });
+
+  // { authKey, trashId } -> back under its old name; { authKey, trashId | all: true } -> gone for good
+  const trashActionSchema = {
+    body: {
+      type: 'object',
+      required: ['authKey'],
+      properties: { authKey: authKeySchema, trashId: uuidSchema, all: { type: 'boolean' } }
+    }
+  };
+  app.post('/admin/trash/restore', { schema: trashActionSchema }, async (req, reply) => {
+    if (!isAdmin(req.body.authKey.trim())) return reply.status(403).send({ error: 'Admin key required', code: 'ADMIN_REQUIRED' });
+    if (!req.body.trashId) return reply.status(400).send({ error: 'trashId required', code: 'MISSING_FIELDS' });
+
+    try {
+      const trashId = req.body.trashId.toLowerCase(); // ids are stored lowercase
+      const result = await restoreFromTrash(trashId);
+      req.log.info({ trashId, ...result }, 'trash item restored');
+      return reply.send({ success: true, ...result });
+    } catch (e) {
+      req.log.error(e, 'trash restore failed');
+      return replyError(reply, e, 'Restore failed');
+    }
+  });
+
+  app.post('/admin/trash/purge', { schema: trashActionSchema }, async (req, reply) => {
+    if (!isAdmin(req.body.authKey.trim())) return reply.status(403).send({ error: 'Admin key required', code: 'ADMIN_REQUIRED' });
+    const { trashId, all } = req.body;
+    if (!trashId && !all) return reply.status(400).send({ error: 'trashId or all required', code: 'MISSING_FIELDS' });
+
+    try {
+      const ids = trashId ? [trashId.toLowerCase()] : (await listTrash()).map(i => i.trashId);
+      const purged = [];
+      for (const id of ids) purged.push({ trashId: id, ...(await purgeFromTrash(id)) });
+      req.log.info({ purged: purged.length }, 'trash purged');
+      return reply.send({ success: true, purged });
+    } catch (e) {
+      req.log.error(e, 'trash purge failed');
+      return replyError(reply, e, 'Purge failed');
+    }
+  });
+
+  // Cached derivative by content hash: /thumb/<sha256>/<thumb.jpg|thumb.webp|preview.jpg|poster.jpg>?authKey=
+  const thumbSchema = {
+    params: {
+      type: 'object',
+      properties: { sha256: sha256Schema, variant: { type: 'string', enum: [...Object.keys(VARIANTS), POSTER] } }
+    },
+    querystring: { type: 'object', required: ['authKey'], properties: { authKey: authKeySchema } }
+  };
+  app.get('/thumb/:sha256/:variant', { schema: thumbSchema }, async (req, reply) => {
+    const key = req.query.authKey.trim();
+    if (!users[key]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    const { sha256, variant } = req.params;
+    const savedName = hashIndex.get(sha256);
+    if (!savedName) return reply.status(404).send({ error: 'Not found', code: 'NOT_FOUND' });
+
+    const file = derivativePath(derivDir, sha256, variant);
+    if (!fs.existsSync(file)) {
+      // Not generated yet (older upload, or queue still busy): build on demand
+      // the log records the detected kind; the name only knows it if the template has {kind}
+      const entry = uploadLog.byHash(sha256).find(e => e.mediaType) || { savedName };
+      const isVideo = entryMediaType(entry) === 'video';
+      if (variant === POSTER && !isVideo) return reply.status(404).send({ error: 'Not found', code: 'NOT_FOUND' });
+      try {
+        await derivatives.enqueue(derivativeJob(savedName, sha256, isVideo));
+      } catch {
+        return reply.status(404).send({ error: 'Preview unavailable', code: 'PREVIEW_UNAVAILABLE' });
+      }
+    }
+
+    reply.header('Cache-Control', 'private, max-age=31536000, immutable');
+    return reply.type(variant.endsWith('.webp') ? 'image/webp' : 'image/jpeg').send(fs.createReadStream(file));
+  });
+
+  // Live feed: text/event-stream of `snapshot` (on connect), `upload` and `removed` events.
+  // EventSource can't set headers, so the key travels in the query like /thumb.
+  const feedSchema = {
+    querystring: { type: 'object', required: ['authKey'], properties: { authKey: authKeySchema } }
+  };
+  app.get('/feed', { schema: feedSchema }, async (req, reply) => {
+    if (!users[req.query.authKey.trim()]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    const lastEventId = (req.headers['last-event-id'] || '').toString().trim() || null;
+    liveFeed.attach(req, reply, feedBacklog(lastEventId));
+  });
+
+  // Fullscreen slideshow (public/slideshow.html reads ?authKey= itself)
+  app.get('/slideshow', async (req, reply) => reply.sendFile('slideshow.html'));
+
+  // Resume status (chunk): { received: [indices] }
+  const uploadStatusSchema = {
+    querystring: { type: 'object', required: ['hash'], properties: { hash: uuidSchema } } // client sends uploadId as "hash"
+  };
+  app.get('/upload-status', { schema: uploadStatusSchema }, async (req, reply) => {
+    const id = req.query.hash.toLowerCase();
+
+    try {
+      const { received } = await readChunkMarkers(id);
+      reply.send({ received });
+    } catch {
+      reply.status(500).send({ error: 'Failed to read chunk state', code: 'INTERNAL_ERROR' });
+    }
+  });
+
+  // ---- Pre-upload dedupe check: { authKey, files: [{ sha256, size, name }] }
+  //   Knowing a hash and size proves nothing (hashes reach other users via /feed), so
+  //   a file already on the server only gets a challenge: random byte ranges and a
+  //   nonce. /upload-claim logs the caller as a contributor once they answer with
+  //   sha256(nonce + those bytes), which takes the file itself; otherwise they upload.
+  const PRECHECK_MAX = 500;
+  const CHALLENGE_TTL = 10 * 60 * 1000;
+  const CHALLENGE_MAX = 10000;         // outstanding, all users; oldest dropped first
+  const CHALLENGE_RANGES = 4;
+  const CHALLENGE_RANGE_BYTES = 64 * 1024;
+  const challenges = new Map();        // nonce -> { authKey, sha256, size, savedName, name, ranges, expires }
+
+  function issueChallenge(authKey, { sha256, size, savedName, name }) {
+    const now = Date.now();
+    for (const [nonce, c] of challenges) { if (c.expires > now && challenges.size < CHALLENGE_MAX) break; challenges.delete(nonce); }
+    const len = Math.min(CHALLENGE_RANGE_BYTES, size);
+    const ranges = size ? Array.from({ length: CHALLENGE_RANGES }, () => {
+      const start = crypto.randomInt(0, size - len + 1);
+      return [start, start + len - 1]; // inclusive
+    }) : [];
+    const nonce = crypto.randomUUID();
+    challenges.set(nonce, { authKey, sha256, size, savedName, name, ranges, expires: now + CHALLENGE_TTL });
+    return { nonce, ranges };
+  }
+
+  // sha256(nonce + bytes of each range, in order) over the stored copy
+  async function challengeAnswer(nonce, { savedName, ranges }) {
+    const hash = crypto.createHash('sha256').update(nonce);
+    for (const [start, end] of ranges) {
+      for await (const chunk of await storage.read(savedName, { start, end })) hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  const uploadCheckSchema = {
+    body: {
+      type: 'object',
+      required: ['authKey', 'files'],
+      properties: {
+        authKey: authKeySchema,
+        files: {
+          type: 'array',
+          maxItems: PRECHECK_MAX,
+          items: {
+            type: 'object',
+            required: ['sha256', 'size'],
+            properties: {
+              sha256: sha256Schema,
+              size: { type: 'integer', minimum: 0, maximum: MAX_UPLOAD },
+              name: { type: 'string', maxLength: 1024 },
+              isVideo: { type: 'boolean' } // accepted for older clients; the stored copy decides
+            }
+          }
+        }
+      }
+    }
+  };
+  app.post('/upload-check', { schema: uploadCheckSchema }, async (req, reply) => {
+    const authKey = req.body.authKey.trim();
+    const { files } = req.body;
+    if (!users[authKey]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    try {
+      const results = [];
+      for (const f of files) {
+        const { sha256, size } = f;
+        const savedName = dedupeIndex.get(sha256, authKey);
+        if (!savedName || (await storedSize(sha256, savedName)) !== size) { results.push({ sha256, exists: false }); continue; }
+        results.push({ sha256, exists: true, challenge: issueChallenge(authKey, { sha256, size, savedName, name: f.name }) });
+      }
+      req.log.info({ checked: results.length, existing: results.filter(r => r.exists).length }, 'upload precheck');
+      return reply.send({ results });
+    } catch (e) {
+      req.log.error(e, 'upload precheck failed');
+      return replyError(reply, e, 'Upload check failed');
+    }
+  });
+
+  // ---- Claim a precheck hit: { authKey, claims: [{ nonce, proof }] } -> logged as dedupes
+  const uploadClaimSchema = {
+    body: {
+      type: 'object',
+      required: ['authKey', 'claims'],
+      properties: {
+        authKey: authKeySchema,
+        claims: {
+          type: 'array',
+          maxItems: PRECHECK_MAX,
+          items: {
+            type: 'object',
+            required: ['nonce', 'proof'],
+            properties: { nonce: uuidSchema, proof: sha256Schema }
+          }
+        }
+      }
+    }
+  };
+  app.post('/upload-claim', { schema: uploadClaimSchema }, async (req, reply) => {
+    const authKey = req.body.authKey.trim();
+    if (!users[authKey]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    try {
+      const results = [];
+      for (const { nonce, proof } of req.body.claims) {
+        const c = challenges.get(nonce.toLowerCase());
+        if (c?.authKey === authKey) challenges.delete(nonce.toLowerCase()); // one answer per challenge
+        if (!c || c.authKey !== authKey || c.expires < Date.now()) { results.push({ nonce, claimed: false, code: 'UNKNOWN_CHALLENGE' }); continue; }
+        // the copy may have moved on (deleted, quarantined) since the check
+        const savedName = dedupeIndex.get(c.sha256, authKey);
+        let answer = null;
+        if (savedName === c.savedName) answer = await challengeAnswer(nonce.toLowerCase(), c).catch(() => null);
+        if (!answer || !safeEqual(answer, proof.toLowerCase())) { results.push({ nonce, claimed: false, code: 'PROOF_MISMATCH' }); continue; }
+
+        await recordDedupe({
+          authKey, originalName: sanitizeFilename(c.name), sha256: c.sha256, size: c.size, savedName, precheck: true,
+          mediaType: entryMediaType(uploadLog.byHash(c.sha256)[0] || { savedName })
+        });
+        results.push({ nonce, sha256: c.sha256, claimed: true, existing: savedName });
+      }
+      req.log.info({ claims: results.length, claimed: results.filter(r => r.claimed).length }, 'upload claim');
+      return reply.send({ results });
+    } catch (e) {
+      req.log.error(e, 'upload claim failed');
+      return replyError(reply, e, 'Upload claim failed');
+    }
+  });
+
+  // ---- Chunk: accept a single part, verify it, and mark as received
+  const chunksSeen = new Set(); // "<uploadId>:<index>" already attempted (chunk retry metric)
+  //   optional fields chunkSize / chunkSha256 are checked against the bytes that arrived
+  app.post('/upload-chunk', async (req, reply) => {
+    let inflight = null; // bytes land here first and only move into place once verified
+    let opened = null;   // uploadId whose disk reservation this request opened
+    try {
+      const parts = req.parts({ limits: { fileSize: MAX_CHUNK_BYTES, files: 1 } });
+
+      const CHUNK_FIELDS = ['authKey', 'uploadId', 'index', 'totalChunks', 'filename', 'isVideo', 'chunkSize', 'chunkSha256', 'totalSize'];
+      const fields = {};
+      let received = null; // { size, sha256 } of what was actually written
+      let chunk = null;    // validated fields
+
+      // Fields come before the chunk: nothing is reserved or written for a bad key or series
+      const checkFields = () => {
+        if (!fields.authKey || !users[fields.authKey]) throw httpError(403, 'INVALID_AUTH_KEY', 'Invalid authKey');
+        return validateChunkFields(fields, { maxChunkBytes: MAX_CHUNK_BYTES, maxSize: MAX_UPLOAD });
+      };
+
+      for await (const part of parts) {
+        if (part.type === 'field') {
+          if (CHUNK_FIELDS.includes(part.fieldname)) fields[part.fieldname] = (part.value || '').toString().trim();
+          continue;
+        }
+
+        if (part.type === 'file' && part.fieldname === 'chunk') {
+          chunk = checkFields();
+          if (await admitChunkSeries(chunk)) opened = chunk.uploadId; // 507 before a new series writes anything
+          const seen = `${fields.uploadId}:${fields.index}`;
+          if (chunksSeen.has(seen)) chunkRetries.inc();
+          else chunksSeen.add(seen);
+          if (chunksSeen.size > 100000) chunksSeen.clear();
+          inflight = path.join(chunkDir, `.inflight.${Date.now()}-${Math.random().toString(36).slice(2)}`);
+          const tee = hashingTee('sha256');
+          const out = fs.createWriteStream(inflight);
+          await pipeline(part.file, tee, out);
+          bytesReceived.inc({ route: 'chunked' }, out.bytesWritten);
+          received = { size: out.bytesWritten, sha256: tee.digestHex() };
+        } else if (part.type === 'file') {
+          part.file.resume(); // drain unexpected files so the request can finish
+        }
+      }
+
+      // No chunk part: validate after consuming the body so we don't hang
+      const { uploadId, index, totalChunks, filename, isVideo, chunkSize, chunkSha256 } = chunk || checkFields();
+      if (!received) return reply.status(400).send({ error: 'Missing chunk data', code: 'MISSING_FIELDS' });
+
+      // Integrity: reject truncated or corrupted chunks before they count as received
+      if (chunkSize != null && received.size !== chunkSize) {
+        req.log.warn({ uploadId, index, expected: chunkSize, got: received.size }, 'chunk size mismatch');
+        return reply.status(422).send({ error: 'Chunk size mismatch', code: 'CHUNK_SIZE_MISMATCH', index, expected: chunkSize, received: received.size });
+      }
+      if (chunkSha256 && received.sha256 !== chunkSha256) {
+        req.log.warn({ uploadId, index }, 'chunk checksum mismatch');
+        return reply.status(422).send({ error: 'Chunk checksum mismatch', code: 'CHUNK_CHECKSUM_MISMATCH', index });
+      }
+
+      // Chunk first, marker second: a marker always points at verified bytes
+      await fs.promises.rename(inflight, getChunkPath(uploadId, index));
+      inflight = null;
+      diskGuard.consume(uploadId, received.size);
+      await writeChunkMarker(uploadId, index, received);
+
+      // Upload description, written once by whichever chunk gets there first
+      await fs.promises.writeFile(getManifestPath(uploadId),
+        JSON.stringify({ uploadId, filename, totalChunks, isVideo, createdAt: new Date().toISOString() }, null, 2),
+        { flag: 'wx' }).catch(e => { if (e.code !== 'EEXIST') throw e; });
+
+      req.log.info({ uploadId, index, size: received.size }, 'chunk ok');
+
+      return reply.send({ ok: true, index, size: received.size, sha256: received.sha256 });
+    } catch (e) {
+      req.log.error(e, 'chunk upload failed');
+      return replyError(reply, e, 'Chunk upload failed');
+    } finally {
+      if (inflight) await fs.promises.unlink(inflight).catch(() => {});
+      // a series this request opened but stored no chunk for (4xx, failure) reserves nothing
+      if (opened && !fs.existsSync(getMarkerDir(opened))) diskGuard.release(opened);
+    }
+  });
+
+  // Forget indices that have to be re-sent
+  async function dropReceived(uploadId, indices) {
+    await Promise.all(indices.map(i => fs.promises.unlink(getMarkerPath(uploadId, i)).catch(() => {})));
+  }
+
+  // ---- Chunk finalize: assemble -> hash -> ingest (dedupe -> reserve -> finalize -> log)
+  const finalizing = new Set(); // uploadIds currently being assembled
+
+  app.post('/upload-manifest', async (req, reply) => {
+    let claimed = null;
+    let failure = null; // what upload.failed reports if this ends in a 5xx
+    try {
+      const parts = req.parts();
+      let manifest = null;
+
+      for await (const part of parts) {
+        if (part.type === 'field' && part.fieldname === 'manifest') {
+          try { manifest = JSON.parse(part.value); }
+          catch { return reply.status(400).send({ error: 'Invalid manifest JSON', code: 'INVALID_MANIFEST' }); }
+        } else if (part.type === 'file') {
+          part.file.resume();
+        }
+      }
+      if (!manifest) return reply.status(400).send({ error: 'Missing manifest', code: 'MISSING_FIELDS' });
+
+      // totalSize / sha256 describe the whole file (optional for older clients)
+      const { uploadId, totalChunks, filename, authKey, totalSize, sha256: expectedSha } =
+        validateManifest(manifest, { maxSize: MAX_UPLOAD });
+      if (!users[authKey]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+      // A retried finalize must not assemble the same chunks twice
+      if (finalizing.has(uploadId)) return reply.status(409).send({ error: 'Assembly already in progress', code: 'ASSEMBLY_IN_PROGRESS' });
+      finalizing.add(uploadId);
+      claimed = uploadId;
+      failure = { authKey, originalName: filename, uploadId };
+
+      // Per-chunk records written by /upload-chunk; an index without a marker was never accepted
+      const { chunks: chunkInfo } = await readChunkMarkers(uploadId);
+
+      const missing = await findUnusableChunks(uploadId, totalChunks, chunkInfo);
+      if (missing.length) {
+        return reply.status(409).send({ error: 'Missing chunks', code: 'MISSING_CHUNKS', missing });
+      }
+
+      const tempOut = path.join(tmpUploadDir, `.merge.${crypto.randomUUID()}${path.extname(filename || '')}`);
+
+      // Merge + hash (+ re-verify every chunk against its arrival checksum)
+      const assembled = assemblyDuration.startTimer();
+      const { sha256, size, corrupt } = await assembleChunksToTemp(uploadId, totalChunks, tempOut, chunkInfo)
+        .catch(e => { assembled({ outcome: 'error' }); throw e; });
+
+      // Refuse to finalize anything that doesn't match; tell the client what to re-send
+      let rejected = null;
+      if (corrupt.length) rejected = { error: 'Corrupt chunks', code: 'CHUNK_CHECKSUM_MISMATCH', missing: corrupt };
+      else if (totalSize != null && size !== totalSize) rejected = { error: 'Assembled size mismatch', code: 'SIZE_MISMATCH', expected: totalSize, received: size, missing: range(totalChunks) };
+      else if (expectedSha && sha256 !== expectedSha) rejected = { error: 'Assembled checksum mismatch', code: 'CHECKSUM_MISMATCH', missing: range(totalChunks) };
+      assembled({ outcome: rejected ? 'rejected' : 'ok' });
+      if (rejected) {
+        req.log.warn({ uploadId, ...rejected }, 'assembly rejected');
+        await fs.promises.unlink(tempOut).catch(() => {});
+        await removeChunks(uploadId, rejected.missing);
+        await dropReceived(uploadId, rejected.missing);
+        return reply.status(422).send(rejected);
+      }
+
+      const cleanUp = async () => {
+        await removeChunks(uploadId, range(totalChunks));
+        await rmrf(getMarkerDir(uploadId));
+        await fs.promises.unlink(getManifestPath(uploadId)).catch(() => {});
+        diskGuard.release(uploadId);
+        for (const i of range(totalChunks)) chunksSeen.delete(`${uploadId}:${i}`);
+      };
+
+      let result;
+      try {
+        const ingest = isArchiveFilename(filename) ? ingestArchive : ingestFile;
+        result = await ingest({ tmpPath: tempOut, sha256, size, authKey, originalName: filename, route: 'chunked', admission: uploadId });
+      } catch (e) {
+        if (e.statusCode >= 400 && e.statusCode < 500) await cleanUp(); // re-sending the same bytes can't help
+        throw e;
+      }
+      await cleanUp();
+
+      if (isArchiveFilename(filename)) return reply.send({ success: true, sha256, archive: result });
+      const undo = { id: result.entry.id, deletableUntil: deletableUntil(result.entry) };
+      if (result.deduped) return reply.send({ success: true, deduped: true, existing: result.savedName, ...undo });
+      const near = nearDuplicateNote(result);
+      return reply.send({ success: true, savedAs: result.savedName, sha256, ...undo, ...(near && { nearDuplicates: near.similarTo }) });
+    } catch (e) {
+      req.log.error(e, 'assembly failed');
+      if (failure && !(e.statusCode < 500)) {
+        const { authKey, ...info } = failure;
+        emitUploadFailed(authKey, { ...info, code: 'INTERNAL_ERROR', error: e.message });
+      }
+      return replyError(reply, e, 'Assembly failed');
+    } finally {
+      if (claimed) finalizing.delete(claimed);
+    }
+  });
+
+  // ---- Direct multipart upload (small files; may include multiple parts)
+  app.post('/upload', async (req, reply) => {
+    // Admission: the whole declared body must fit before any of it is read
+    try { await diskGuard.admit(Number(req.headers['content-length']) || MAX_UPLOAD, req.id); }
+    catch (e) { return replyError(reply, e); }
+
+    let authKey = null;
+    let user = null;
+    const staged = [];   // { tmpPath, sha256, size, originalName }
+    const rejected = []; // { filename, code, error } – drained, never written
+    try {
+      const parts = req.parts();
+
+      for await (const part of parts) {
+        if (part.type === 'field') {
+          if (part.fieldname === 'authKey') {
+            authKey = (part.value || '').trim();
+            user = users[authKey] || null;
+          }
+          continue;
+        }
+
+        let originalName;
+        try { originalName = assertUploadFilename(part.filename); }
+        catch (e) {
+          part.file.resume();
+          rejected.push({ filename: sanitizeFilename(part.filename), code: e.code, error: e.message });
+          continue;
+        }
+        // temp name never contains client text beyond the (allowlisted) extension
+        const tmpPath = path.join(tmpUploadDir, `${Date.now()}_${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`);
+        await fs.promises.mkdir(path.dirname(tmpPath), { recursive: true });
+
+        const tee = hashingTee('sha256');
+        const out = fs.createWriteStream(tmpPath);
+        await pipeline(part.file, tee, out);
+        bytesReceived.inc({ route: 'direct' }, out.bytesWritten);
+        diskGuard.consume(req.id, out.bytesWritten);
+        staged.push({ tmpPath, sha256: tee.digestHex(), size: out.bytesWritten, originalName });
+      }
+
+      if (!authKey || !user) {
+        await Promise.allSettled(staged.map(s => fs.promises.unlink(s.tmpPath)));
+        return reply.status(403).send({ error: 'Invalid or missing authKey', code: 'INVALID_AUTH_KEY' });
+      }
+      if (!staged.length && rejected.length) {
+        return reply.status(415).send({ error: 'No allowed files in upload', code: 'UNSUPPORTED_FILE_TYPE', rejected });
+      }
+
+      const savedFiles = [];
+      const uploads = [];  // { id, originalName, savedName, deduped, deletableUntil } per non-archive file, for undo
+      const archives = []; // per-ZIP report: extracted / deduped / skipped entries
+      const nearDuplicates = []; // stored, but looks like something already here
+
+      let accepted = 0;
+
+      for (const s of staged) {
+        if (isArchiveFilename(s.originalName)) {
+          let report;
+          try { report = await ingestArchive({ ...s, authKey, admission: req.id }); }
+          catch (e) {
+            if (!(e.statusCode >= 400 && e.statusCode < 500)) throw e;
+            rejected.push({ filename: s.originalName, code: e.code, error: e.message });
+            continue;
+          }
+          archives.push(report);
+          savedFiles.push(...report.files);
+          nearDuplicates.push(...report.nearDuplicates);
+          if (report.extracted + report.deduped) accepted++;
+          else rejected.push({ filename: s.originalName, code: 'NO_MEDIA_IN_ARCHIVE', error: 'Archive contains no allowed images or videos' });
+          continue;
+        }
+
+        let result;
+        try { result = await ingestFile({ ...s, authKey }); }
+        catch (e) {
+          if (e.statusCode !== 415) throw e;
+          rejected.push({ filename: s.originalName, code: e.code, error: e.message });
+          continue;
+        }
+        accepted++;
+        if (!result.deduped) savedFiles.push(result.savedName);
+        uploads.push({
+          id: result.entry.id, originalName: s.originalName, savedName: result.savedName,
+          deduped: result.deduped, deletableUntil: deletableUntil(result.entry)
+        });
+        const near = nearDuplicateNote(result);
+        if (near) nearDuplicates.push(near);
+      }
+      if (!accepted && rejected.length) {
+        return reply.status(415).send({
+          error: 'No allowed files in upload', code: 'UNSUPPORTED_CONTENT', rejected, ...(archives.length && { archives })
+        });
+      }
+
+      return reply.send({
+        success: true, files: savedFiles, uploads,
+        ...(nearDuplicates.length && { nearDuplicates }),
+        ...(rejected.length && { rejected }),
+        ...(archives.length && { archives })
+      });
+    } catch (err) {
+      req.log.error(err, 'direct upload failed');
+      await Promise.allSettled(staged.map(s => fs.promises.unlink(s.tmpPath))); // ones not ingested yet
+      if (user && !(err.statusCode < 500)) {
+        emitUploadFailed(authKey, { originalNames: staged.map(s => s.originalName), code: 'INTERNAL_ERROR', error: err.message });
+      }
+      return replyError(reply, err, 'Upload failed');
+    } finally {
+      diskGuard.release(req.id);
+    }
+  });
+
+  // ---- Delete one of the caller's own uploads (within DELETE_WINDOW): { authKey, id }
+  //   id is the log entry id returned by /upload, /upload-manifest and /files
+  const uploadDeleteSchema = {
+    body: {
+      type: 'object',
+      required: ['authKey', 'id'],
+      properties: { authKey: authKeySchema, id: uuidSchema }
+    }
+  };
+  app.post('/upload-delete', { schema: uploadDeleteSchema }, async (req, reply) => {
+    const key = req.body.authKey.trim();
+    if (!users[key]) return reply.status(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+    const entry = uploadLog.get(req.body.id);
+    if (!entry || entry.authKey !== key || !entry.savedName || entry.deleted || entry.quarantined) {
+      return reply.status(404).send({ error: 'Not found', code: 'NOT_FOUND' });
+    }
+    if (Date.now() > Date.parse(deletableUntil(entry) || 0)) {
+      return reply.status(409).send({ error: 'Delete window has passed', code: 'DELETE_WINDOW_EXPIRED' });
+    }
+
+    try {
+      const { savedName, entries, trashId } = await deleteUpload(entry, key);
+      req.log.info({ id: entry.id, savedName, entries, trashed: !!trashId }, 'upload deleted by uploader');
+      return reply.send({ success: true, id: entry.id, savedName, trashed: !!trashId });
+    } catch (e) {
+      req.log.error(e, 'upload delete failed');
+      return replyError(reply, e, 'Delete failed');
+    }
+  });
+
+  // ---- tus 1.0 resumable uploads (Uppy, tus-js-client, mobile SDKs)
+  await registerTusRoutes(app, {
+    prefix: '/tus',
+    dir: tusDir,
+    maxSize: MAX_UPLOAD,
+    admit: (length, id) => diskGuard.admit(length, id),
+    consume: diskGuard.consume,
+    release: diskGuard.release,
+    getUser: key => users[key],
+    onReceived: bytes => bytesReceived.inc({ route: 'tus' }, bytes),
+    ingest: info => ingestFile({ ...info, route: 'tus' })
+  });
+
+  // ------------------------------------------------------------
+  // Automatic cleanup of stale locks, temps, chunks, manifests
+  // ------------------------------------------------------------
+  async function cleanupOnce() {
+    const now = Date.now();
+
+    // 1) Stale reservation locks (+ legacy .serial files on local disk)
+    await storage.sweepLocks(LOCK_TTL).catch(e => app.log.warn({ err: e.message }, 'lock sweep failed'));
+
+    // 2) Old temp files
+    try {
+      for await (const d of await fs.promises.opendir(tmpUploadDir)) {
+        const fp = path.join(tmpUploadDir, d.name);
+        const st = await fs.promises.stat(fp).catch(() => null);
+        if (st && (now - st.mtimeMs > TMP_TTL)) await rmrf(fp);
+      }
+    } catch {}
+
+    // 3) Old chunks + abandoned/finished tus uploads (and the space a tus upload still held)
+    for (const dir of [chunkDir, tusDir]) {
+      try {
+        for await (const d of await fs.promises.opendir(dir)) {
+          const fp = path.join(dir, d.name);
+          const st = await fs.promises.stat(fp).catch(() => null);
+          if (!st || now - st.mtimeMs <= TMP_TTL) continue;
+          await rmrf(fp);
+          if (dir === tusDir) diskGuard.release(path.basename(d.name, '.json'));
+        }
+      } catch {}
+    }
+
+    // 4) Old manifests
+    try {
+      for await (const d of await fs.promises.opendir(manifestDir)) {
+        if (!d.name.endsWith('.json')) continue;
+        const fp = path.join(manifestDir, d.name);
+        const st = await fs.promises.stat(fp).catch(() => null);
+        if (st && (now - st.mtimeMs > TMP_TTL)) await rmrf(fp);
+      }
+    } catch {}
+
+    // 5) Space promised to chunk series that went quiet (their chunks expire above)
+    diskGuard.sweep(TMP_TTL);
+
+    // 6) Fold patch lines back into the upload log
+    await uploadLog.maybeCompact().catch(e => app.log.error(e, 'upload log compaction failed'));
+  }
+
+  // ------------------------------------------------------------
+  // Lifecycle: background work runs between start() and stop()
+  // ------------------------------------------------------------
+  let cleanupTimer = null;
+  const watchUsers = !options.users;
+
+  async function start() {
+    if (cleanupTimer) return;
+    if (watchUsers) fs.watchFile(authFile, { interval: 2000 }, reloadUsers);
+    cleanupTimer = setInterval(() => { cleanupOnce().catch(e => app.log.error(e, 'cleanup failed')); }, config.ttl.cleanupIntervalMs);
+    cleanupOnce().catch(() => {}); // run once on start
+    processors.start().catch(e => app.log.error(e, 'processor pipeline failed to start'));
+    backfillPerceptualHashes().catch(e => app.log.error(e, 'perceptual hash backfill failed'));
+  }
+
+  async function stop() {
+    if (!cleanupTimer) return;
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+    if (watchUsers) fs.unwatchFile(authFile, reloadUsers);
+    processors.stop();
+    await webhooks.stop();
+  }
+  app.addHook('onClose', stop); // closing the app never leaves timers behind
+
+  return { app, config, storage, uploadLog, start, stop, reloadUsers };
+}
+
+/**
+ * Fastify plugin form, for mounting inside another service:
+ *   fastify.register(uploadServerPlugin, { prefix: '/uploads', config: { ... } })
+ * Background work starts when the host is ready and stops when it closes. The
+ * host must not register @fastify/multipart or @fastify/static on the same scope.
+ */
+export async function uploadServerPlugin(fastify, options) {
+  const server = await buildUploadServer({ ...options, app: fastify });
+  fastify.addHook('onReady', server.start);
+}
@@ -0,0 +1,162 @@
+// backend/archive.js
+// Read ZIP archives that were uploaded in place of media (phone exports, Takeout).
+//   - the central directory is the index (local headers may defer sizes to data descriptors)
+//   - each entry is streamed from disk and inflated with fflate; nothing is held in memory
+//   - declared size and CRC are checked, so a lying header can't expand past what it claims
+// ZIP64 size/offset fields are understood; encrypted and non-deflate entries are not.
+import fs from 'fs';
+import { Transform } from 'stream';
+import { Inflate } from 'fflate';
+
+export const MAX_ARCHIVE_ENTRIES = 10000;
+// Read into memory in one piece; real directories stay far below (~100 bytes an entry)
+export const MAX_CENTRAL_DIRECTORY_BYTES = 16 * 1024 * 1024;
+
+const EOCD_SIG = 0x06054b50, EOCD64_SIG = 0x06064b50, EOCD64_LOC_SIG = 0x07064b50;
+const CENTRAL_SIG = 0x02014b50, LOCAL_SIG = 0x04034b50;
+const MAX_COMMENT = 0xffff;
+const STORED = 0, DEFLATED = 8;
+
+// CRC-32 (IEEE), as ZIP stores it; zlib.crc32 only arrived in Node 20.15
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  for (let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+  return n;
+});
+
+function crc32(buf, crc = 0) {
+  crc = ~crc;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+function zip64Extra(extra, e) {
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i), len = extra.readUInt16LE(i + 2);
+    if (id === 0x0001) {
+      let p = i + 4;
+      const next = () => { const v = Number(extra.readBigUInt64LE(p)); p += 8; return v; };
+      if (e.size === 0xffffffff) e.size = next();
+      if (e.compressedSize === 0xffffffff) e.compressedSize = next();
+      if (e.localOffset === 0xffffffff) e.localOffset = next();
+      return;
+    }
+    i += 4 + len;
+  }
+}
+
+/**
+ * Central directory -> [{ name, method, size, compressedSize, crc, localOffset, encrypted, isDir }].
+ * Throws (code INVALID_ARCHIVE) when the file isn't a readable ZIP.
+ */
+export async function readZipEntries(filePath) {
+  const invalid = msg => Object.assign(new Error(msg), { code: 'INVALID_ARCHIVE' });
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await fh.stat();
+    const tailLen = Math.min(fileSize, 22 + MAX_COMMENT);
+    const tail = await readAt(fh, fileSize - tailLen, tailLen);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+    if (eocd < 0) throw invalid('No ZIP end-of-central-directory record');
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+      const loc = eocd - 20;
+      if (loc < 0 || tail.readUInt32LE(loc) !== EOCD64_LOC_SIG) throw invalid('Missing ZIP64 locator');
+      const rec = await readAt(fh, Number(tail.readBigUInt64LE(loc + 8)), 56);
+      if (rec.length < 56 || rec.readUInt32LE(0) !== EOCD64_SIG) throw invalid('Bad ZIP64 end record');
+      count = Number(rec.readBigUInt64LE(32));
+      cdSize = Number(rec.readBigUInt64LE(40));
+      cdOffset = Number(rec.readBigUInt64LE(48));
+    }
+    const tooLarge = msg => Object.assign(new Error(msg), { code: 'ARCHIVE_TOO_LARGE' });
+    if (count > MAX_ARCHIVE_ENTRIES) throw tooLarge(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+    if (cdSize > MAX_CENTRAL_DIRECTORY_BYTES) throw tooLarge('Archive central directory is too large');
+    if (cdOffset + cdSize > fileSize) throw invalid('Central directory out of range');
+
+    const cd = await readAt(fh, cdOffset, cdSize);
+    const entries = [];
+    for (let p = 0, n = 0; n < count; n++) {
+      if (p + 46 > cd.length || cd.readUInt32LE(p) !== CENTRAL_SIG) throw invalid('Corrupt central directory');
+      const flags = cd.readUInt16LE(p + 8);
+      const nameLen = cd.readUInt16LE(p + 28), extraLen = cd.readUInt16LE(p + 30), commentLen = cd.readUInt16LE(p + 32);
+      const nameBuf = cd.subarray(p + 46, p + 46 + nameLen);
+      const e = {
+        name: (flags & 0x800) ? nameBuf.toString('utf8') : nameBuf.toString('latin1'),
+        method: cd.readUInt16LE(p + 10),
+        crc: cd.readUInt32LE(p + 16),
+        compressedSize: cd.readUInt32LE(p + 20),
+        size: cd.readUInt32LE(p + 24),
+        localOffset: cd.readUInt32LE(p + 42),
+        encrypted: !!(flags & 1),
+      };
+      zip64Extra(cd.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen), e);
+      e.isDir = e.name.endsWith('/');
+      entries.push(e);
+      p += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+  } finally {
+    await fh.close();
+  }
+}
+
+// Inflate (or pass through) exactly `expected` bytes, checking size and CRC at the end
+function decoder(method, expected, expectedCrc) {
+  let out = 0, crc = 0, inflate = null;
+  const fail = msg => Object.assign(new Error(msg), { code: 'CORRUPT_ENTRY' });
+  const emit = (stream, chunk) => {
+    out += chunk.length;
+    if (out > expected) throw fail('Entry is larger than its header says');
+    crc = crc32(chunk, crc);
+    stream.push(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+  };
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      try {
+        if (method === STORED) emit(this, chunk);
+        else {
+          inflate ||= new Inflate(data => { if (data.length) emit(this, data); });
+          inflate.push(chunk, false);
+        }
+        cb();
+      } catch (err) { cb(err.code === 'CORRUPT_ENTRY' ? err : fail(`Inflate failed: ${err.message}`)); }
+    },
+    flush(cb) {
+      try {
+        if (method === DEFLATED) (inflate ||= new Inflate(data => { if (data.length) emit(this, data); })).push(new Uint8Array(0), true);
+        if (out !== expected) throw fail('Entry is shorter than its header says');
+        if ((crc >>> 0) !== expectedCrc) throw fail('Entry CRC mismatch');
+        cb();
+      } catch (err) { cb(err.code === 'CORRUPT_ENTRY' ? err : fail(`Inflate failed: ${err.message}`)); }
+    }
+  });
+}
+
+/** Decompressed bytes of one entry from readZipEntries(). */
+export async function openEntryStream(filePath, entry) {
+  if (entry.encrypted) throw Object.assign(new Error('Entry is encrypted'), { code: 'ENCRYPTED_ENTRY' });
+  if (![STORED, DEFLATED].includes(entry.method)) {
+    throw Object.assign(new Error(`Compression method ${entry.method} is not supported`), { code: 'UNSUPPORTED_COMPRESSION' });
+  }
+  const fh = await fs.promises.open(filePath, 'r');
+  let header;
+  try { header = await readAt(fh, entry.localOffset, 30); } finally { await fh.close(); }
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIG) {
+    throw Object.assign(new Error('Bad local header'), { code: 'CORRUPT_ENTRY' });
+  }
+  const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const dec = decoder(entry.method, entry.size, entry.crc);
+  if (!entry.compressedSize) { dec.end(); return dec; }
+  const src = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+  src.on('error', err => dec.destroy(err));
+  return src.pipe(dec);
+}
@@ -4,6 +4,7 @@ import fsp from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Readable } from 'stream';
+import { findDuplicate, parseDedupeScope } from './dedupe.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,7 +13,9 @@ const tmpChunkDir = path.resolve(__dirname, '../uploads/tmp_chunks');
 const finalDir = path.resolve(__dirname, '../uploads/merged');
 const manifestDir = path.resolve(__dirname, '../manifests');
 
-export async function registerChunkRoutes(app, users, getFileHash, getNextFileName, uploadLog, logFile) {
+// dedupeScope: 'global' | 'user' | 'off', same policy as server.js (DEDUPE_SCOPE)
+export async function registerChunkRoutes(app, users, getFileHash, getNextFileName, uploadLog, logFile, { dedupeScope = 'global' } = {}) {
+  const scope = parseDedupeScope(dedupeScope);
   // Ensure directories exist
   [tmpChunkDir, finalDir, manifestDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
 
@@ -154,21 +157,18 @@ export async function registerChunkRoutes(app, users, getFileHash, getNextFileNa
         const fileBuffer = await fsp.readFile(finalPath);
         const bufferStream = Readable.from([fileBuffer]);
         const hash = await getFileHash(bufferStream);
-        const duplicate = uploadLog.find(entry => entry.hash === hash && entry.authKey === authKey);
+        const duplicate = findDuplicate(uploadLog, { scope, sha256: hash, authKey });
 
-        if (duplicate) {
-          await fsp.unlink(finalPath).catch(()=>{});
-          return reply.send({ warning: 'Duplicate file skipped' });
-        }
-
-        // Record the upload (write atomically)
+        // Record the upload (write atomically); a duplicate is logged against the stored copy
+        if (duplicate) await fsp.unlink(finalPath).catch(()=>{});
         uploadLog.push({
           authKey,
           fullName: users[authKey],
           originalName,
-          savedName: path.basename(finalPath),
+          savedName: duplicate ? duplicate.savedName : path.basename(finalPath),
           timestamp: new Date().toISOString(),
-          hash
+          hash,
+          ...(duplicate && { deduped: true })
         });
 
         const tmpLog = `${logFile}.tmp`;
@@ -181,6 +181,7 @@ export async function registerChunkRoutes(app, users, getFileHash, getNextFileNa
         ));
         await fsp.unlink(manifestPath).catch(()=>{});
 
+        if (duplicate) return reply.send({ warning: 'Duplicate file skipped', existing: duplicate.savedName });
         return reply.send({ success: true, file: path.basename(finalPath) });
       } catch (err) {
         // Log detailed error for debugging
@@ -0,0 +1,237 @@
+// backend/config.js
+// The server's configuration in one place: built-in defaults, then an optional
+// JSON file (CONFIG_FILE, default config.json beside server.js), then env
+// variables, which keep the names they always had, then `overrides` passed in
+// by an embedding app (app.js). Every value is checked at boot and all problems
+// are reported together; unknown keys in the file or overrides are errors, so a
+// typo can't silently fall back to a default.
+import fs from 'fs';
+import path from 'path';
+
+import { compileNameTemplate, DEFAULT_NAME_TEMPLATE } from './naming.js';
+import { DEDUPE_SCOPES } from './dedupe.js';
+import { DEFAULT_NEAR_DISTANCE } from './perceptual.js';
+import { parseTypeAllowlist } from './sniff.js';
+import { parseWebhookTargets } from './webhooks.js';
+import { STORAGE_BACKENDS } from './storage/index.js';
+import { MAX_CHUNK_BYTES } from './validation.js';
+
+const MiB = 1024 * 1024;
+const GiB = 1024 * MiB;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_CSP = {
+  defaultSrc: ["'self'"],
+  scriptSrc: ["'self'", "'unsafe-inline'"],
+  styleSrc: ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+  fontSrc: ["'self'", 'https://fonts.gstatic.com'],
+  imgSrc: ["'self'", 'data:']
+};
+
+// ---- value types: raw (file or env) -> value, or throw with what's wrong -------
+const str = v => String(v);
+
+const int = (min = 0, max = Number.MAX_SAFE_INTEGER) => v => {
+  const n = typeof v === 'number' ? v : (/^\d+$/.test(String(v).trim()) ? Number(v) : NaN);
+  if (!Number.isSafeInteger(n) || n < min || n > max) throw new Error(`must be an integer ${min}-${max}`);
+  return n;
+};
+
+const bool = v => {
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(s)) return true;
+  if (['0', 'false', 'no', 'off'].includes(s)) return false;
+  throw new Error('must be true or false');
+};
+
+const list = v => {
+  const items = Array.isArray(v) ? v : String(v).split(',');
+  return items.map(s => String(s).trim()).filter(Boolean);
+};
+
+const oneOf = values => v => {
+  const s = String(v).trim().toLowerCase();
+  if (!values.includes(s)) throw new Error(`must be one of: ${values.join(', ')}`);
+  return s;
+};
+
+const object = v => {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('must be an object');
+  return v;
+};
+
+// A string some module parses later; run its parser now so errors show up at boot
+const checkedBy = parse => v => { parse(String(v)); return String(v); };
+
+// ---- settings -----------------------------------------------------------------
+// [key, env, type, default]; a default may be a function of the settings above it.
+// Relative paths resolve against the directory of server.js.
+const SETTINGS = [
+  ['server.host',                 'HOST',                 str,           '127.0.0.1'], // keep prod behind cloudflared
+  ['server.port',                 'PORT',                 int(1, 65535), 3000],
+
+  ['paths.data',                  'DATA_DIR',             'path',        '/mnt/data/FileUploadServer'],
+  ['paths.uploads',               'UPLOAD_DIR',           'path',        c => path.join(c.paths.data, 'uploads')],
+  ['paths.users',                 'USERS_FILE',           'path',        c => path.join(c.paths.data, 'users.csv')],
+  ['paths.uploadLog',             'UPLOAD_LOG_FILE',      'path',        c => path.join(c.paths.data, 'upload_log.jsonl')],
+  ['paths.legacyUploadLog',       null,                   'path',        c => path.join(c.paths.data, 'upload_log.json')], // migrated once
+  ['paths.manifests',             'MANIFEST_DIR',         'path',        c => path.join(c.paths.data, 'manifests')],
+  ['paths.derivatives',           'DERIVATIVES_DIR',      'path',        c => path.join(c.paths.data, 'derivatives')],
+  ['paths.quarantine',            'QUARANTINE_DIR',       'path',        c => path.join(c.paths.data, 'quarantine')],
+  ['paths.jobs',                  'JOBS_DIR',             'path',        c => path.join(c.paths.data, 'jobs')],
+  ['paths.trash',                 'TRASH_DIR',            'path',        c => path.join(c.paths.data, 'trash')],
+  ['paths.webhookDeadLetter',     'WEBHOOK_DEAD_LETTER_FILE', 'path',    c => path.join(c.paths.data, 'webhooks_dead_letter.jsonl')],
+  ['paths.hashCache',             'HASH_CACHE_FILE',      'path',        c => path.join(c.paths.data, 'hash_cache.json')], // reconcile.js re-hash cache
+
+  ['limits.maxUploadBytes',       'MAX_UPLOAD_BYTES',     int(1),        2 * GiB], // direct, tus and assembled chunk uploads
+  ['limits.maxChunkBytes',        'MAX_CHUNK_BYTES',      int(1),        MAX_CHUNK_BYTES],
+  ['limits.maxArchiveExpandedBytes', 'MAX_ARCHIVE_EXPANDED_BYTES', int(1), c => 4 * c.limits.maxUploadBytes],
+  ['limits.maxFilesPerRequest',   'MAX_FILES_PER_REQUEST', int(1, 1000), 20],
+  ['limits.maxFields',            null,                   int(1, 1000),  20],
+  ['limits.fieldNameSize',        null,                   int(1, 10000), 100],
+  ['limits.diskMinFreeBytes',     'DISK_MIN_FREE_BYTES',  int(0),        GiB],
+  ['limits.diskWarnPercent',      'DISK_WARN_PERCENT',    int(1, 100),   90],
+
+  // what the browser client uses (served at /config)
+  ['client.chunkSize',            'CLIENT_CHUNK_SIZE',    int(64 * 1024), 8 * MiB],
+  ['client.directThreshold',      'CLIENT_DIRECT_THRESHOLD', int(0),     32 * MiB], // larger files go chunked
+  ['client.directWorkers',        'CLIENT_DIRECT_WORKERS', int(1, 16),   3],
+  ['client.chunkWorkers',         'CLIENT_CHUNK_WORKERS', int(1, 16),    4],
+
+  ['ttl.lockMs',                  'LOCK_TTL_MS',          int(1000),     10 * MINUTE],
+  ['ttl.tmpMs',                   'TMP_TTL_MS',           int(MINUTE),   48 * HOUR],
+  ['ttl.deleteWindowMs',          'DELETE_WINDOW_MS',     int(0),        24 * HOUR], // uploaders may delete their own files this long
+  ['ttl.cleanupIntervalMs',       'CLEANUP_INTERVAL_MS',  int(MINUTE),   HOUR],
+
+  ['cors.origins',                'CORS_ORIGINS',         list,          []], // production only; dev allows any origin
+  ['csp.directives',              null,                   object,        DEFAULT_CSP], // merged over the defaults
+  ['csp.frameAncestors',          'CSP_FRAME_ANCESTORS',  list,          ["'self'", 'https://sites.google.com', 'https://lh6.googleusercontent.com']],
+
+  ['uploads.nameTemplate',        'NAME_TEMPLATE',        checkedBy(compileNameTemplate), DEFAULT_NAME_TEMPLATE],
+  ['uploads.allowedMediaTypes',   'ALLOWED_MEDIA_TYPES',  checkedBy(parseTypeAllowlist), ''], // e.g. "jpeg,heic,mp4,mov"; empty = all
+  ['uploads.disallowedContent',   'DISALLOWED_CONTENT',   oneOf(['reject', 'quarantine']), 'reject'],
+  ['uploads.dedupeScope',         'DEDUPE_SCOPE',         oneOf(DEDUPE_SCOPES), 'global'],
+  ['uploads.nearDupDistance',     'NEAR_DUP_DISTANCE',    int(0, 64),    DEFAULT_NEAR_DISTANCE], // dHash bits (of 64)
+  ['uploads.serialRelease',       'SERIAL_RELEASE',       oneOf(['keep', 'release']), 'keep'],
+  ['uploads.postProcessors',      'POST_PROCESSORS',      str,           ''], // e.g. "clamav,./hooks/notify.js"
+  ['uploads.ffmpegPath',          'FFMPEG_PATH',          str,           'ffmpeg'],
+  ['uploads.reservationLog',      'RES_LOG',              bool,          false],
+  ['uploads.rebuildLog',          'REBUILD_UPLOAD_LOG',   bool,          false], // boot: rebuild an unparsable upload log instead of refusing to start
+
+  ['admin.keys',                  'ADMIN_KEYS',           list,          []],
+  ['admin.metricsToken',          'METRICS_TOKEN',        str,           ''], // unset: /metrics only outside the tunnel
+
+  ['storage.backend',             'STORAGE_BACKEND',      oneOf(STORAGE_BACKENDS), 'local'],
+  ['storage.s3.endpoint',         'S3_ENDPOINT',          str,           ''],
+  ['storage.s3.bucket',           'S3_BUCKET',            str,           ''],
+  ['storage.s3.region',           'S3_REGION',            str,           'us-east-1'],
+  ['storage.s3.accessKeyId',      ['S3_ACCESS_KEY_ID', 'AWS_ACCESS_KEY_ID'], str, ''],
+  ['storage.s3.secretAccessKey',  ['S3_SECRET_ACCESS_KEY', 'AWS_SECRET_ACCESS_KEY'], str, ''],
+  ['storage.s3.prefix',           'S3_PREFIX',            str,           ''],
+  ['storage.s3.pathStyle',        'S3_PATH_STYLE',        bool,          true], // MinIO wants path-style
+
+  ['webhooks.urls',               'WEBHOOK_URLS',         str,           ''],
+  ['webhooks.secret',             'WEBHOOK_SECRET',       str,           ''],
+  ['webhooks.events',             'WEBHOOK_EVENTS',       str,           ''],
+
+  ['clamd.socket',                'CLAMD_SOCKET',         str,           ''], // default /var/run/clamav/clamd.ctl unless clamd.host is set
+  ['clamd.host',                  'CLAMD_HOST',           str,           ''],
+  ['clamd.port',                  'CLAMD_PORT',           int(1, 65535), 3310],
+];
+
+const getIn = (obj, key) => key.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+function setIn(obj, key, value) {
+  const keys = key.split('.');
+  const last = keys.pop();
+  let o = obj;
+  for (const k of keys) o = o[k] ??= {};
+  o[last] = value;
+}
+
+// Leaf paths of the file that no setting claims
+function unknownKeys(file, prefix = '') {
+  const out = [];
+  for (const [k, v] of Object.entries(file)) {
+    const key = prefix + k;
+    if (SETTINGS.some(([s]) => s === key)) continue;
+    if (v && typeof v === 'object' && !Array.isArray(v) && SETTINGS.some(([s]) => s.startsWith(key + '.'))) out.push(...unknownKeys(v, key + '.'));
+    else out.push(key);
+  }
+  return out;
+}
+
+const deepFreeze = o => {
+  for (const v of Object.values(o)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(o);
+};
+
+/**
+ * baseDir: where relative paths (and the default config.json) are resolved
+ * overrides: settings in the file's shape that win over file and env (embedding, tests)
+ * -> frozen config object, plus `source` (the file that was read, or null)
+ */
+export function loadConfig({ baseDir, env = process.env, file = env.CONFIG_FILE, overrides = {} } = {}) {
+  const errors = [];
+  const filePath = file ? path.resolve(baseDir, file) : path.join(baseDir, 'config.json');
+  let fromFile = {};
+  if (fs.existsSync(filePath)) {
+    try { fromFile = object(JSON.parse(fs.readFileSync(filePath, 'utf-8'))); }
+    catch (e) { throw new Error(`Invalid configuration file ${filePath}: ${e.message}`); }
+  } else if (file) {
+    throw new Error(`Configuration file ${filePath} not found`);
+  }
+  for (const key of unknownKeys(fromFile)) errors.push(`${key}: unknown setting (in ${filePath})`);
+  for (const key of unknownKeys(overrides)) errors.push(`${key}: unknown setting (in overrides)`);
+
+  const config = {};
+  for (const [key, envNames, type, def] of SETTINGS) {
+    const override = getIn(overrides, key);
+    const envName = override === undefined ? [envNames].flat().find(n => n && env[n] !== undefined && env[n] !== '') : null;
+    const raw = override !== undefined ? override : envName ? env[envName] : getIn(fromFile, key);
+    const where = envName ? `${envName} (${key})` : key;
+    let value;
+    if (raw === undefined || raw === null) value = typeof def === 'function' ? def(config) : def;
+    else {
+      try {
+        if (type === 'path') value = path.resolve(baseDir, str(raw));
+        else value = type(raw);
+      } catch (e) {
+        errors.push(`${where}: ${e.message}`);
+        value = typeof def === 'function' ? def(config) : def;
+      }
+    }
+    setIn(config, key, value);
+  }
+
+  config.csp.directives = { ...DEFAULT_CSP, ...config.csp.directives };
+
+  // Settings that only make sense together
+  if (config.client.chunkSize > config.limits.maxChunkBytes) errors.push('client.chunkSize: must not exceed limits.maxChunkBytes');
+  if (config.client.directThreshold > config.limits.maxUploadBytes) errors.push('client.directThreshold: must not exceed limits.maxUploadBytes');
+  try { parseWebhookTargets(config.webhooks); } catch (e) { errors.push(`webhooks: ${e.message}`); }
+  if (config.storage.backend === 's3') {
+    const s3 = config.storage.s3;
+    if (!s3.endpoint || !s3.bucket) errors.push('storage.s3: S3_ENDPOINT and S3_BUCKET are required with STORAGE_BACKEND=s3');
+    if (!s3.accessKeyId || !s3.secretAccessKey) errors.push('storage.s3: S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required with STORAGE_BACKEND=s3');
+  }
+
+  if (errors.length) throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  config.dev = env.NODE_ENV !== 'production';
+  config.source = fs.existsSync(filePath) ? filePath : null;
+  return deepFreeze(config);
+}
+
+/** What the browser client needs to match what the server accepts (GET /config). */
+export function clientConfig(config) {
+  return {
+    chunkSize: config.client.chunkSize,
+    directThreshold: config.client.directThreshold,
+    directWorkers: config.client.directWorkers,
+    chunkWorkers: config.client.chunkWorkers,
+    maxUploadBytes: config.limits.maxUploadBytes,
+    maxChunkBytes: config.limits.maxChunkBytes,
+    maxFilesPerRequest: config.limits.maxFilesPerRequest
+  };
+}
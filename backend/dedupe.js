@@ -0,0 +1,45 @@
+// backend/dedupe.js
+// Dedupe policy (DEDUPE_SCOPE): which earlier upload a new file counts as a copy of.
+//   global - same bytes from anyone -> one stored file; later uploaders are logged against it
+//   user   - only the same uploader's earlier copy counts; everyone else gets their own stored copy
+//   off    - every upload is stored
+export const DEDUPE_SCOPES = ['global', 'user', 'off'];
+
+export function parseDedupeScope(spec) {
+  const scope = String(spec || 'global').trim().toLowerCase();
+  if (!DEDUPE_SCOPES.includes(scope)) throw new Error(`DEDUPE_SCOPE must be one of: ${DEDUPE_SCOPES.join(', ')}`);
+  return scope;
+}
+
+function scopeKey(scope, sha256, authKey) {
+  if (scope === 'off') return null;
+  return scope === 'user' ? `${authKey}\n${sha256}` : sha256;
+}
+
+/** (sha256, uploader) -> savedName of the stored copy a new upload dedupes against. */
+export function createDedupeIndex(scope) {
+  const map = new Map();
+  return {
+    scope,
+    get(sha256, authKey) {
+      const k = scopeKey(scope, sha256, authKey);
+      return (k && map.get(k)) || null;
+    },
+    /** First copy wins, like the log order it is built from. */
+    add(sha256, authKey, savedName) {
+      const k = scopeKey(scope, sha256, authKey);
+      if (k && !map.has(k)) map.set(k, savedName);
+    },
+    /** Drop the key so the next add() (or a new upload) decides again. */
+    delete(sha256, authKey) {
+      const k = scopeKey(scope, sha256, authKey);
+      if (k) map.delete(k);
+    },
+  };
+}
+
+/** The same rule over a plain array of log entries (legacy chunk routes). */
+export function findDuplicate(entries, { scope, sha256, authKey }) {
+  if (scope === 'off') return null;
+  return entries.find(e => e.hash === sha256 && !e.quarantined && !e.deleted && (scope === 'global' || e.authKey === authKey)) || null;
+}
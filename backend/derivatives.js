@@ -0,0 +1,116 @@
+// backend/derivatives.js
+// Server-side thumbnails/previews, cached by content hash:
+//   <derivDir>/<sha[0..1]>/<sha>/{thumb.jpg,thumb.webp,preview.jpg,poster.jpg}
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import sharp from 'sharp';
+
+const THUMB_PX   = 320;
+const PREVIEW_PX = 1600;
+
+// variant -> how to render it from a decodable still (the original image or a video poster)
+export const VARIANTS = {
+  'thumb.jpg':   { size: THUMB_PX,   format: 'jpeg', quality: 78 },
+  'thumb.webp':  { size: THUMB_PX,   format: 'webp', quality: 72 },
+  'preview.jpg': { size: PREVIEW_PX, format: 'jpeg', quality: 82 },
+};
+export const POSTER = 'poster.jpg';
+
+export function derivativeDir(derivDir, sha256) {
+  return path.join(derivDir, sha256.slice(0, 2), sha256);
+}
+export function derivativePath(derivDir, sha256, variant) {
+  return path.join(derivativeDir(derivDir, sha256), variant);
+}
+
+async function renderVariant(input, outPath, { size, format, quality }) {
+  const tmp = `${outPath}.tmp`;
+  await sharp(input, { failOn: 'none' })
+    .rotate() // honour EXIF orientation
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(format, { quality })
+    .toFile(tmp);
+  await fs.promises.rename(tmp, outPath);
+}
+
+function runFfmpeg(ffmpegPath, args) {
+  return new Promise((resolve, reject) => {
+    const p = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let err = '';
+    p.stderr.on('data', d => { err += d; });
+    p.on('error', reject); // ENOENT when ffmpeg isn't installed
+    p.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}: ${err.trim()}`))));
+  });
+}
+
+// Grab one frame ~1s in, falling back to the first frame for very short clips
+async function extractPosterFrame(ffmpegPath, srcPath, outPath) {
+  const args = seek => ['-v', 'error', '-y', ...seek, '-i', srcPath,
+    '-frames:v', '1', '-vf', `scale='min(${PREVIEW_PX},iw)':-2`, '-q:v', '3', '-f', 'image2', outPath];
+  try { await runFfmpeg(ffmpegPath, args(['-ss', '1'])); } catch {}
+  const st = await fs.promises.stat(outPath).catch(() => null);
+  if (!st?.size) await runFfmpeg(ffmpegPath, args([]));
+}
+
+/**
+ * Build every derivative for one stored file. Existing outputs are kept,
+ * so this is safe to call again (e.g. on-demand from the thumbnail route).
+ * Returns the list of variants now present.
+ */
+export async function generateDerivatives({ derivDir, srcPath, sha256, isVideo, ffmpegPath = 'ffmpeg' }) {
+  const dir = derivativeDir(derivDir, sha256);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  let still = srcPath;
+  if (isVideo) {
+    still = path.join(dir, POSTER);
+    if (!fs.existsSync(still)) {
+      const tmp = `${still}.tmp.jpg`;
+      try {
+        await extractPosterFrame(ffmpegPath, srcPath, tmp);
+        await fs.promises.rename(tmp, still);
+      } finally {
+        await fs.promises.unlink(tmp).catch(() => {});
+      }
+    }
+  }
+
+  const made = isVideo ? [POSTER] : [];
+  for (const [name, spec] of Object.entries(VARIANTS)) {
+    const out = path.join(dir, name);
+    if (!fs.existsSync(out)) await renderVariant(still, out, spec);
+    made.push(name);
+  }
+  return made;
+}
+
+/**
+ * Single-file work queue so derivative generation never competes with
+ * uploads for more than one core. Jobs with a sha already queued are dropped.
+ */
+export function createDerivativeQueue({ derivDir, ffmpegPath, log }) {
+  const pending = new Map(); // sha256 -> promise
+  let tail = Promise.resolve();
+
+  // job: { sha256, isVideo } plus srcPath, or source() -> { path, release() } fetched when the job runs
+  async function run(job) {
+    if (!job.source) return generateDerivatives({ derivDir, ffmpegPath, ...job });
+    const src = await job.source();
+    try { return await generateDerivatives({ derivDir, ffmpegPath, ...job, srcPath: src.path }); }
+    finally { await src.release(); }
+  }
+
+  function enqueue(job) {
+    if (pending.has(job.sha256)) return pending.get(job.sha256);
+    const p = tail.then(() => run(job))
+      .then(made => { log?.info({ sha256: job.sha256, made }, 'derivatives ready'); return made; })
+      .catch(err => { log?.warn({ err: err.message, sha256: job.sha256 }, 'derivative generation failed'); throw err; })
+      .finally(() => pending.delete(job.sha256));
+    pending.set(job.sha256, p);
+    tail = p.catch(() => {});
+    return p;
+  }
+
+  return { enqueue };
+}
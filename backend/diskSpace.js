@@ -0,0 +1,73 @@
+// backend/diskSpace.js
+// Admission control for the upload volume (tmp files, chunks, tus partials and,
+// on local storage, the stored files). A new upload is refused with 507 when its
+// declared size would eat into the `minFree` floor, counting bytes already
+// promised to uploads that are still arriving.
+import fs from 'fs';
+
+import { httpError } from './validation.js';
+
+/**
+ * dir: any path on the volume · minFree: bytes always left free
+ * warnPercent: used share (0-100) at which capacity() reports a warning
+ */
+export function createDiskGuard({ dir, minFree = 0, warnPercent = 90 }) {
+  const held = new Map(); // reservation id -> { bytes, at }; bytes promised but not yet on disk
+
+  const reserved = () => {
+    let n = 0;
+    for (const r of held.values()) n += r.bytes;
+    return n;
+  };
+
+  async function capacity() {
+    const s = await fs.promises.statfs(dir);
+    const total = s.blocks * s.bsize;
+    const free = s.bavail * s.bsize;       // what an unprivileged writer can still use
+    const used = total - s.bfree * s.bsize;
+    const usedPercent = used + free ? Math.round((used / (used + free)) * 1000) / 10 : 0; // as df reports it
+    return {
+      totalBytes: total, freeBytes: free, usedBytes: used, usedPercent,
+      reservedBytes: reserved(), minFreeBytes: minFree, warnPercent,
+      warning: usedPercent >= warnPercent || free - reserved() < minFree
+    };
+  }
+
+  return {
+    capacity,
+
+    /**
+     * Throw 507 INSUFFICIENT_STORAGE unless `bytes` fit above the floor.
+     * With an id the bytes stay reserved until consume()d or release()d;
+     * an id that already holds a reservation keeps it as is.
+     * -> true when this call opened the reservation for `id`
+     */
+    async admit(bytes, id = null) {
+      const { freeBytes } = await capacity();
+      if (id != null && held.has(id)) return false; // opened meanwhile by a parallel request
+      const available = Math.max(0, freeBytes - reserved() - minFree); // after the await: sees admits that won the race
+      if (bytes > available) {
+        throw httpError(507, 'INSUFFICIENT_STORAGE', 'Not enough free disk space for this upload', { needed: bytes, available });
+      }
+      if (id == null) return false;
+      held.set(id, { bytes, at: Date.now() });
+      return true;
+    },
+
+    holds: id => held.has(id),
+
+    /** `bytes` of a reservation have landed on disk (statfs sees them now). */
+    consume(id, bytes) {
+      const r = held.get(id);
+      if (r) { r.bytes = Math.max(0, r.bytes - bytes); r.at = Date.now(); }
+    },
+
+    release: id => { held.delete(id); },
+
+    /** Drop reservations of uploads that went quiet (abandoned chunk series). */
+    sweep(maxIdleMs) {
+      const now = Date.now();
+      for (const [id, r] of held) if (now - r.at > maxIdleMs) held.delete(id);
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// backend/hooks/clamav.js
+// Example post-upload processor: virus scan against a local clamd.
+// Streams the file with INSTREAM (clamd's StreamMaxLength caps the size it
+// will accept; larger files come back as an error and are retried/failed).
+// Infected files are quarantined and the pipeline stops for that upload.
+import fs from 'fs';
+import net from 'net';
+
+const CHUNK = 64 * 1024;
+
+/**
+ * Scan one file.
+ *   -> { infected: false } | { infected: true, signature }
+ * Throws when clamd is unreachable or reports an error.
+ */
+export function scanFile(filePath, { socket = null, host = '127.0.0.1', port = 3310, timeoutMs = 120000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const conn = socket ? net.createConnection(socket) : net.createConnection(port, host);
+    const src = fs.createReadStream(filePath, { highWaterMark: CHUNK });
+    let reply = '';
+    let settled = false;
+    const done = (err, val) => {
+      if (settled) return;
+      settled = true;
+      src.destroy();
+      conn.destroy();
+      err ? reject(err) : resolve(val);
+    };
+
+    conn.setTimeout(timeoutMs, () => done(new Error('clamd timed out')));
+    conn.on('error', done);
+    conn.on('data', d => { reply += d.toString('utf8'); });
+    conn.on('end', () => {
+      const line = reply.replace(/\0/g, '').trim(); // "stream: OK" | "stream: <sig> FOUND" | "... ERROR"
+      const found = /^stream: (.+) FOUND$/.exec(line);
+      if (found) return done(null, { infected: true, signature: found[1] });
+      if (/^stream: OK$/.test(line)) return done(null, { infected: false });
+      done(new Error(`clamd: ${line || 'no reply'}`));
+    });
+
+    conn.on('connect', () => {
+      conn.write('zINSTREAM\0');
+      src.on('data', chunk => {
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(chunk.length);
+        if (!conn.write(Buffer.concat([len, chunk]))) {
+          src.pause();
+          conn.once('drain', () => src.resume());
+        }
+      });
+      src.on('end', () => conn.write(Buffer.alloc(4))); // zero-length chunk ends the stream
+      src.on('error', done);
+    });
+  });
+}
+
+/**
+ * Processor hook. Options: CLAMD_SOCKET (unix socket) or CLAMD_HOST/CLAMD_PORT.
+ */
+export function createClamavHook({ socket, host, port, timeoutMs, retries = 5, backoffMs = 30000 } = {}) {
+  return {
+    name: 'clamav',
+    retries,
+    backoffMs,
+    async run({ filePath, quarantine, log }) {
+      const verdict = await scanFile(filePath, { socket, host, port, timeoutMs });
+      if (!verdict.infected) return { verdict: 'clean' };
+      log.warn?.({ filePath, signature: verdict.signature }, 'clamav: infected upload quarantined');
+      await quarantine(`virus: ${verdict.signature}`);
+      return { verdict: 'infected', signature: verdict.signature, stop: true };
+    }
+  };
+}
@@ -0,0 +1,73 @@
+// backend/liveFeed.js
+// Server-Sent Events fan-out for the live upload feed (slideshow screens).
+// One heartbeat timer for all clients keeps proxies/tunnels from idling the
+// connection out; clients reconnect on their own and send Last-Event-ID.
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// One SSE frame; `data` is JSON-encoded, multi-line safe
+export function sseFrame({ event, data, id }) {
+  let out = '';
+  if (id) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  for (const line of JSON.stringify(data).split('\n')) out += `data: ${line}\n`;
+  return out + '\n';
+}
+
+export function createLiveFeed({ log = console, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const clients = new Set(); // raw http.ServerResponse
+  let heartbeat = null;
+
+  const write = (res, chunk) => {
+    try { res.write(chunk); } catch (err) { log.warn?.({ err: err.message }, 'live feed write failed'); }
+  };
+
+  function ensureHeartbeat() {
+    if (heartbeat || !clients.size) return;
+    heartbeat = setInterval(() => { for (const res of clients) write(res, ': ping\n\n'); }, heartbeatMs);
+    heartbeat.unref?.();
+  }
+
+  return {
+    get clients() { return clients.size; },
+
+    /**
+     * Take over a Fastify reply and keep it open as an event stream.
+     * `initial` frames ({ event, data, id }) are sent right away (snapshot / replay).
+     */
+    attach(req, reply, initial = []) {
+      reply.hijack();
+      const res = reply.raw;
+      res.writeHead(200, {
+        ...reply.getHeaders(), // CORS/helmet headers set by earlier hooks
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      write(res, `retry: ${RETRY_MS}\n\n`);
+      for (const frame of initial) write(res, sseFrame(frame));
+
+      clients.add(res);
+      ensureHeartbeat();
+      req.raw.on('close', () => {
+        clients.delete(res);
+        if (!clients.size) { clearInterval(heartbeat); heartbeat = null; }
+      });
+    },
+
+    /** Send one event to every connected client. */
+    publish(event, data, id) {
+      if (!clients.size) return;
+      const frame = sseFrame({ event, data, id });
+      for (const res of clients) write(res, frame);
+    },
+
+    /** End every stream (shutdown). */
+    close() {
+      clearInterval(heartbeat); heartbeat = null;
+      for (const res of clients) { try { res.end(); } catch {} }
+      clients.clear();
+    },
+  };
+}
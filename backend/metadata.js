@@ -0,0 +1,391 @@
+// backend/metadata.js
+// Pure-JS metadata extraction at ingest:
+//   - images: EXIF/TIFF from JPEG (APP1), PNG (eXIf), TIFF/DNG and HEIC/AVIF (Exif item)
+//   - videos: MP4/MOV moov boxes (mvhd, tkhd, udta ©xyz/©mak/©mod, Apple mdta keys)
+// Only the bytes that are needed are read; anything unparsable yields {}.
+import fs from 'fs';
+
+const MAX_HEAD = 256 * 1024;       // JPEG/PNG/TIFF headers live here
+const MAX_BOX  = 64 * 1024 * 1024; // refuse to buffer a larger moov/meta
+const MP4_EPOCH_OFFSET = 2082844800; // seconds between 1904-01-01 and 1970-01-01
+
+// ------------------------------------------------------------
+// Small helpers
+// ------------------------------------------------------------
+async function readAt(fh, offset, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, offset);
+  return buf.subarray(0, bytesRead);
+}
+
+const fourcc = (buf, off) => buf.toString('latin1', off, off + 4);
+const round = (n, d = 6) => Math.round(n * 10 ** d) / 10 ** d;
+const clean = s => (typeof s === 'string' ? s.replace(/\0+$/, '').trim() || null : null);
+
+// "2024:05:01 12:34:56" (+ optional "+02:00") -> "2024-05-01T12:34:56+02:00"
+function exifDateToIso(s, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(s || '');
+  if (!m || m[1] === '0000') return null;
+  const tz = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${tz}`;
+}
+
+// "+37.7749-122.4194+010.000/" (ISO 6709) -> { lat, lon, alt }
+function parseIso6709(s) {
+  const m = /([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(s || '');
+  if (!m) return null;
+  const gps = { lat: round(parseFloat(m[1])), lon: round(parseFloat(m[2])) };
+  if (m[3]) gps.alt = round(parseFloat(m[3]), 2);
+  return gps;
+}
+
+/**
+ * Turn a capture date string into a Date in server-local wall-clock time,
+ * so "{year}/{month}" in naming templates follows the camera's clock.
+ */
+export function captureDateForNaming(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/.exec(iso || '');
+  if (!m) return null;
+  if (/Z$/.test(iso)) return new Date(iso); // container times are UTC
+  return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+}
+
+// ------------------------------------------------------------
+// TIFF / EXIF
+// ------------------------------------------------------------
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(buf, tiff, ifdOff, le) {
+  const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const i32 = o => (le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+
+  const tags = {};
+  const base = tiff + ifdOff;
+  if (base + 2 > buf.length) return tags;
+  const count = u16(base);
+
+  for (let i = 0; i < count; i++) {
+    const e = base + 2 + i * 12;
+    if (e + 12 > buf.length) break;
+    const tag = u16(e), type = u16(e + 2), n = u32(e + 4);
+    const size = (TYPE_SIZE[type] || 0) * n;
+    if (!size) continue;
+    const at = size <= 4 ? e + 8 : tiff + u32(e + 8);
+    if (at + size > buf.length) continue;
+
+    let val;
+    switch (type) {
+      case 2: val = buf.toString('latin1', at, at + n); break;
+      case 3: val = n === 1 ? u16(at) : Array.from({ length: n }, (_, k) => u16(at + 2 * k)); break;
+      case 4: val = n === 1 ? u32(at) : Array.from({ length: n }, (_, k) => u32(at + 4 * k)); break;
+      case 9: val = i32(at); break;
+      case 5:
+      case 10: {
+        const rd = type === 5 ? u32 : i32;
+        const r = Array.from({ length: n }, (_, k) => { const d = rd(at + 8 * k + 4); return d ? rd(at + 8 * k) / d : 0; });
+        val = n === 1 ? r[0] : r;
+        break;
+      }
+      default: val = buf.subarray(at, at + size);
+    }
+    tags[tag] = val;
+  }
+  return tags;
+}
+
+function gpsFromIfd(g) {
+  const dms = v => (Array.isArray(v) && v.length === 3 ? v[0] + v[1] / 60 + v[2] / 3600 : null);
+  const lat = dms(g[2]), lon = dms(g[4]);
+  if (lat == null || lon == null || (lat === 0 && lon === 0)) return null;
+  const gps = {
+    lat: round(clean(g[1]) === 'S' ? -lat : lat),
+    lon: round(clean(g[3]) === 'W' ? -lon : lon),
+  };
+  if (typeof g[6] === 'number') gps.alt = round(Buffer.isBuffer(g[5]) && g[5][0] === 1 ? -g[6] : g[6], 2);
+  return gps;
+}
+
+/** Parse a TIFF structure starting at `tiff` within `buf`. */
+export function parseTiff(buf, tiff = 0) {
+  if (tiff + 8 > buf.length) return {};
+  const order = buf.toString('latin1', tiff, tiff + 2);
+  if (order !== 'II' && order !== 'MM') return {};
+  const le = order === 'II';
+  const ifd0Off = le ? buf.readUInt32LE(tiff + 4) : buf.readUInt32BE(tiff + 4);
+
+  const ifd0 = readIfd(buf, tiff, ifd0Off, le);
+  const exif = typeof ifd0[0x8769] === 'number' ? readIfd(buf, tiff, ifd0[0x8769], le) : {};
+  const gps  = typeof ifd0[0x8825] === 'number' ? readIfd(buf, tiff, ifd0[0x8825], le) : {};
+
+  const out = {};
+  const captureDate =
+    exifDateToIso(exif[0x9003], clean(exif[0x9011])) ||  // DateTimeOriginal + OffsetTimeOriginal
+    exifDateToIso(exif[0x9004], clean(exif[0x9012])) ||  // DateTimeDigitized
+    exifDateToIso(ifd0[0x0132], clean(exif[0x9010]));    // DateTime
+  if (captureDate) out.captureDate = captureDate;
+  if (clean(ifd0[0x010F])) out.make = clean(ifd0[0x010F]);
+  if (clean(ifd0[0x0110])) out.model = clean(ifd0[0x0110]);
+  if (typeof ifd0[0x0112] === 'number') out.orientation = ifd0[0x0112];
+
+  const w = exif[0xA002] ?? ifd0[0x0100], h = exif[0xA003] ?? ifd0[0x0101];
+  if (typeof w === 'number' && typeof h === 'number' && w && h) { out.width = w; out.height = h; }
+
+  const g = gpsFromIfd(gps);
+  if (g) out.gps = g;
+  return out;
+}
+
+// ------------------------------------------------------------
+// Image containers
+// ------------------------------------------------------------
+function parseJpeg(buf) {
+  const out = {};
+  let off = 2;
+  while (off + 4 <= buf.length && buf[off] === 0xFF) {
+    const marker = buf[off + 1];
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { off += 2; continue; }
+    if (marker === 0xDA || marker === 0xD9) break; // image data / end
+    const len = buf.readUInt16BE(off + 2);
+
+    if (marker === 0xE1 && buf.toString('latin1', off + 4, off + 10) === 'Exif\0\0') {
+      Object.assign(out, { ...parseTiff(buf, off + 10), ...out });
+    } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker) && off + 9 <= buf.length) {
+      // SOFn: real pixel size beats the EXIF claim
+      out.height = buf.readUInt16BE(off + 5);
+      out.width = buf.readUInt16BE(off + 7);
+    }
+    off += 2 + len;
+  }
+  return out;
+}
+
+function parsePng(buf) {
+  const out = { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  let off = 8;
+  while (off + 8 <= buf.length) {
+    const len = buf.readUInt32BE(off), type = fourcc(buf, off + 4);
+    if (type === 'eXIf') return { ...parseTiff(buf, off + 8), ...out };
+    if (type === 'IDAT' || type === 'IEND') break;
+    off += 12 + len;
+  }
+  return out;
+}
+
+// ------------------------------------------------------------
+// ISO BMFF (HEIC/AVIF images, MP4/MOV videos)
+// ------------------------------------------------------------
+function* boxes(buf, start = 0, end = buf.length) {
+  let off = start;
+  while (off + 8 <= end) {
+    let size = buf.readUInt32BE(off), hdr = 8;
+    const type = fourcc(buf, off + 4);
+    if (size === 1) { size = Number(buf.readBigUInt64BE(off + 8)); hdr = 16; }
+    else if (size === 0) size = end - off;
+    if (size < hdr || off + size > end) return;
+    yield { type, start: off, body: off + hdr, end: off + size };
+    off += size;
+  }
+}
+const child = (buf, box, type, skip = 0) => {
+  for (const b of boxes(buf, box.body + skip, box.end)) if (b.type === type) return b;
+  return null;
+};
+
+// Top-level box headers only, straight from disk (moov may sit after a huge mdat)
+async function findTopBox(fh, fileSize, type) {
+  let off = 0;
+  const hdr = Buffer.alloc(16);
+  while (off + 8 <= fileSize) {
+    const { bytesRead } = await fh.read(hdr, 0, 16, off);
+    if (bytesRead < 8) return null;
+    let size = hdr.readUInt32BE(0);
+    if (size === 1 && bytesRead >= 16) size = Number(hdr.readBigUInt64BE(8));
+    else if (size === 0) size = fileSize - off;
+    if (size < 8) return null;
+    if (fourcc(hdr, 4) === type) return { offset: off, size };
+    off += size;
+  }
+  return null;
+}
+
+async function parseHeif(fh, fileSize) {
+  const found = await findTopBox(fh, fileSize, 'meta');
+  if (!found || found.size > MAX_BOX) return {};
+  const buf = await readAt(fh, found.offset, found.size);
+  const meta = { body: 8, end: buf.length };
+  const out = {};
+
+  // iinf -> which item is 'Exif'
+  let exifId = null;
+  const iinf = child(buf, meta, 'iinf', 4);
+  if (iinf) {
+    const v = buf[iinf.body];
+    for (const infe of boxes(buf, iinf.body + (v === 0 ? 6 : 8), iinf.end)) {
+      if (infe.type !== 'infe') continue;
+      const iv = buf[infe.body];
+      if (iv < 2) continue;
+      const id = iv === 2 ? buf.readUInt16BE(infe.body + 4) : buf.readUInt32BE(infe.body + 4);
+      const t = fourcc(buf, infe.body + 4 + (iv === 2 ? 2 : 4) + 2);
+      if (t === 'Exif') { exifId = id; break; }
+    }
+  }
+
+  // iprp/ipco -> largest ispe is the full (grid) image size
+  const iprp = child(buf, meta, 'iprp', 4);
+  const ipco = iprp && child(buf, iprp, 'ipco');
+  if (ipco) {
+    for (const p of boxes(buf, ipco.body, ipco.end)) {
+      if (p.type !== 'ispe') continue;
+      const w = buf.readUInt32BE(p.body + 4), h = buf.readUInt32BE(p.body + 8);
+      if (w * h > (out.width || 0) * (out.height || 0)) { out.width = w; out.height = h; }
+    }
+  }
+
+  // iloc -> where the Exif item's bytes live
+  const iloc = exifId != null && child(buf, meta, 'iloc', 4);
+  if (iloc) {
+    const v = buf[iloc.body];
+    let o = iloc.body + 4;
+    const offSize = buf[o] >> 4, lenSize = buf[o] & 15, baseSize = buf[o + 1] >> 4;
+    const idxSize = v === 1 || v === 2 ? buf[o + 1] & 15 : 0;
+    o += 2;
+    const readN = (n) => { let x = 0; for (let k = 0; k < n; k++) x = x * 256 + buf[o + k]; o += n; return x; };
+    const items = v < 2 ? readN(2) : readN(4);
+    for (let i = 0; i < items; i++) {
+      const id = v < 2 ? readN(2) : readN(4);
+      if (v === 1 || v === 2) readN(2); // construction_method
+      readN(2);                         // data_reference_index
+      const base = readN(baseSize);
+      const extents = readN(2);
+      let first = null;
+      for (let k = 0; k < extents; k++) {
+        if (idxSize) readN(idxSize);
+        const eo = readN(offSize), el = readN(lenSize);
+        if (!first) first = { offset: base + eo, length: el };
+      }
+      if (id === exifId && first && first.length > 8 && first.length <= MAX_HEAD * 4) {
+        const data = await readAt(fh, first.offset, first.length);
+        const tiffAt = 4 + data.readUInt32BE(0); // exif_tiff_header_offset
+        const dims = out.width ? { width: out.width, height: out.height } : {}; // ispe beats EXIF
+        Object.assign(out, parseTiff(data, tiffAt), dims);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+function parseMoov(buf) {
+  const moov = { body: 8, end: buf.length };
+  const out = {};
+
+  const mvhd = child(buf, moov, 'mvhd');
+  if (mvhd) {
+    const v = buf[mvhd.body];
+    const created   = v === 1 ? Number(buf.readBigUInt64BE(mvhd.body + 4)) : buf.readUInt32BE(mvhd.body + 4);
+    const timescale = buf.readUInt32BE(mvhd.body + (v === 1 ? 20 : 12));
+    const duration  = v === 1 ? Number(buf.readBigUInt64BE(mvhd.body + 24)) : buf.readUInt32BE(mvhd.body + 16);
+    if (created > MP4_EPOCH_OFFSET) out.captureDate = new Date((created - MP4_EPOCH_OFFSET) * 1000).toISOString().replace(/\.000Z$/, 'Z');
+    if (timescale) out.duration = round(duration / timescale, 3);
+  }
+
+  for (const trak of boxes(buf, moov.body, moov.end)) {
+    if (trak.type !== 'trak') continue;
+    const tkhd = child(buf, trak, 'tkhd');
+    if (!tkhd) continue;
+    const v = buf[tkhd.body];
+    const m = tkhd.body + (v === 1 ? 52 : 40); // matrix[9]
+    const w = buf.readUInt32BE(m + 36) / 65536, h = buf.readUInt32BE(m + 40) / 65536;
+    if (w && h && w * h > (out.width || 0) * (out.height || 0)) {
+      out.width = Math.round(w); out.height = Math.round(h);
+      const a = buf.readInt32BE(m), b = buf.readInt32BE(m + 4);
+      const deg = Math.round(Math.atan2(b, a) * 180 / Math.PI);
+      out.rotation = (deg + 360) % 360;
+    }
+  }
+
+  // QuickTime user data: ©xyz ©mak ©mod (16-bit size + lang, then text)
+  const udta = child(buf, moov, 'udta');
+  if (udta) {
+    for (const b of boxes(buf, udta.body, udta.end)) {
+      if (b.body + 4 > b.end) continue;
+      const len = buf.readUInt16BE(b.body);
+      const text = clean(buf.toString('utf8', b.body + 4, Math.min(b.end, b.body + 4 + len)));
+      if (b.type === '\xA9xyz') { const g = parseIso6709(text); if (g) out.gps = g; }
+      if (b.type === '\xA9mak' && text) out.make = text;
+      if (b.type === '\xA9mod' && text) out.model = text;
+    }
+  }
+
+  // Apple mdta keys/ilst (iPhone videos)
+  // (QuickTime's meta is a plain box, ISO's is a full box with 4 bytes of version/flags)
+  const meta = child(buf, moov, 'meta');
+  const skip = meta && buf.readUInt32BE(meta.body) === 0 ? 4 : 0;
+  const keys = meta && child(buf, meta, 'keys', skip);
+  const ilst = meta && child(buf, meta, 'ilst', skip);
+  if (keys && ilst) {
+    const names = [];
+    for (const k of boxes(buf, keys.body + 8, keys.end)) names.push(buf.toString('utf8', k.body, k.end));
+    for (const item of boxes(buf, ilst.body, ilst.end)) {
+      const name = names[buf.readUInt32BE(item.start + 4) - 1];
+      const data = child(buf, item, 'data');
+      if (!name || !data) continue;
+      const text = clean(buf.toString('utf8', data.body + 8, data.end));
+      if (name === 'com.apple.quicktime.make' && text) out.make = text;
+      if (name === 'com.apple.quicktime.model' && text) out.model = text;
+      if (name === 'com.apple.quicktime.location.ISO6709') { const g = parseIso6709(text); if (g) out.gps = g; }
+      if (name === 'com.apple.quicktime.creationdate' && text) {
+        // "2024-05-01T12:34:56+0200" keeps the local wall clock, prefer it over mvhd (UTC)
+        const m = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})([+-]\d{2}):?(\d{2})$/.exec(text);
+        if (m) out.captureDate = `${m[1]}${m[2]}:${m[3]}`;
+      }
+    }
+  }
+  return out;
+}
+
+async function parseMp4(fh, fileSize) {
+  const found = await findTopBox(fh, fileSize, 'moov');
+  if (!found || found.size > MAX_BOX) return {};
+  return parseMoov(await readAt(fh, found.offset, found.size));
+}
+
+// ------------------------------------------------------------
+// Entry point
+// ------------------------------------------------------------
+/**
+ * Extract capture date, make/model, dimensions, duration, orientation/rotation
+ * and GPS from a stored file. Never throws; unknown formats give {}.
+ */
+export async function extractMetadata(filePath) {
+  let fh;
+  try {
+    fh = await fs.promises.open(filePath, 'r');
+    const { size } = await fh.stat();
+    const head = await readAt(fh, 0, Math.min(size, MAX_HEAD));
+    if (head.length < 12) return {};
+
+    if (head[0] === 0xFF && head[1] === 0xD8) return parseJpeg(head);
+    if (head.readUInt32BE(0) === 0x89504E47) return parsePng(head);
+    if (/^(II\*\0|MM\0\*)$/.test(head.toString('latin1', 0, 4))) {
+      // EXIF/IFDs can point past the head in big TIFFs; read a bit more if needed
+      return parseTiff(size > head.length ? await readAt(fh, 0, Math.min(size, MAX_HEAD * 16)) : head);
+    }
+    if (fourcc(head, 4) === 'ftyp') {
+      const brand = fourcc(head, 8);
+      const brands = head.toString('latin1', 16, Math.min(head.length, head.readUInt32BE(0)));
+      // HEIF stills by major brand, or by compatible brand when the major one isn't a movie brand
+      const isHeif = /^(heic|heix|heim|heis|hevc|mif1|msf1|avif)$/.test(brand) ||
+        (/mif1|heic|avif/.test(brands) && !/^(qt  |isom|mp4\d|M4V )$/.test(brand));
+      return isHeif ? await parseHeif(fh, size) : await parseMp4(fh, size);
+    }
+    // Older QuickTime files may skip ftyp
+    if (['moov', 'mdat', 'wide', 'free'].includes(fourcc(head, 4))) return await parseMp4(fh, size);
+    return {};
+  } catch {
+    return {};
+  } finally {
+    await fh?.close().catch(() => {});
+  }
+}
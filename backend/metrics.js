@@ -0,0 +1,111 @@
+// backend/metrics.js
+// Prometheus text exposition (format 0.0.4) without a client library: counters,
+// histograms, and gauges read at scrape time. Label values are escaped; metric
+// and label names are ours, so they aren't.
+import fs from 'fs';
+import path from 'path';
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(names, values) {
+  if (!names.length) return '';
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i] ?? '')}"`).join(',')}}`;
+}
+
+const num = v => (v === Infinity ? '+Inf' : Number.isFinite(v) ? String(v) : 'NaN');
+
+export const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+export function createMetricsRegistry() {
+  const metrics = []; // { name, help, type, render: async () => [lines] }
+
+  function register(name, help, type, render) {
+    metrics.push({ name, help, type, render });
+  }
+
+  // labels object -> values in labelNames order, and a stable series key
+  const seriesOf = (labelNames, labels = {}) => {
+    const values = labelNames.map(n => labels[n] ?? '');
+    return { values, key: JSON.stringify(values) };
+  };
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map(); // key -> { values, value }
+      register(name, help, 'counter', () =>
+        [...series.values()].map(s => `${name}${labelText(labelNames, s.values)} ${num(s.value)}`));
+      return {
+        inc(labels = {}, by = 1) {
+          const { values, key } = seriesOf(labelNames, labels);
+          const s = series.get(key) || series.set(key, { values, value: 0 }).get(key);
+          s.value += by;
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map(); // key -> { values, counts: [per bucket], sum, count }
+      register(name, help, 'histogram', () => {
+        const lines = [];
+        for (const s of series.values()) {
+          buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${labelText([...labelNames, 'le'], [...s.values, num(le)])} ${s.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${labelText([...labelNames, 'le'], [...s.values, '+Inf'])} ${s.count}`);
+          lines.push(`${name}_sum${labelText(labelNames, s.values)} ${num(s.sum)}`);
+          lines.push(`${name}_count${labelText(labelNames, s.values)} ${s.count}`);
+        }
+        return lines;
+      });
+      return {
+        observe(labels = {}, value) {
+          const { values, key } = seriesOf(labelNames, labels);
+          const s = series.get(key) || series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+          buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        },
+        /** Start a timer; calling the result (with any remaining labels) records the elapsed seconds. */
+        startTimer(labels = {}) {
+          const t0 = process.hrtime.bigint();
+          return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - t0) / 1e9);
+        },
+      };
+    },
+
+    /** collect: async () => number | [{ labels, value }], read on every scrape */
+    gauge(name, help, labelNames, collect) {
+      register(name, help, 'gauge', async () => {
+        const got = await collect();
+        const rows = Array.isArray(got) ? got : [{ labels: {}, value: got }];
+        return rows.map(r => `${name}${labelText(labelNames, seriesOf(labelNames, r.labels).values)} ${num(r.value)}`);
+      });
+    },
+
+    async render() {
+      const out = [];
+      for (const m of metrics) {
+        let lines;
+        try { lines = await m.render(); }
+        catch { continue; } // one failing collector shouldn't blank the scrape
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Total size of the files under `dir` (0 if it doesn't exist). */
+export async function dirSize(dir) {
+  let total = 0;
+  let entries;
+  try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch { return 0; }
+  for (const d of entries) {
+    const p = path.join(dir, d.name);
+    if (d.isDirectory()) total += await dirSize(p);
+    else if (d.isFile()) total += (await fs.promises.stat(p).catch(() => null))?.size || 0;
+  }
+  return total;
+}
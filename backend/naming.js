@@ -0,0 +1,76 @@
+// backend/naming.js
+// Stored-file naming templates, e.g. "{year}/{month}/{user}_{kind}-{serial}{ext}".
+//
+// Tokens:
+//   {user} {shortKey}          uploader FullName / ShortKey from users.csv
+//   {kind}                     IMG | VID
+//   {serial}                   4-digit serial, unique per resolved folder (required)
+//   {ext}                      original extension incl. dot (required, at the end)
+//   {year} {month} {day}       capture date (falls back to upload date)
+//   {uyear} {umonth} {uday}    upload date
+//   {original}                 original file name without extension
+//   {sha8}                     first 8 hex chars of the content sha256
+import path from 'path';
+
+export const DEFAULT_NAME_TEMPLATE = '{user}_{kind}-{serial}{ext}';
+
+const TOKENS = new Set([
+  'user', 'shortKey', 'kind', 'serial', 'ext',
+  'year', 'month', 'day', 'uyear', 'umonth', 'uday',
+  'original', 'sha8',
+]);
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+// One path segment's worth of text: no separators, control chars or leading dots
+export function sanitizeSegment(v) {
+  return String(v ?? '')
+    .replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, 120) || '_';
+}
+
+/**
+ * Validate a template and return render(ctx, serial) -> { dir, file, serialKey }.
+ * `serialKey` is the file name cut right after the serial: any entry in `dir`
+ * starting with it (and not followed by another digit) holds that serial.
+ * Throws on unknown tokens or a template that can't keep serials unique.
+ */
+export function compileNameTemplate(template = DEFAULT_NAME_TEMPLATE) {
+  const tpl = template.trim().replace(/^\/+/, '');
+  for (const [, tok] of tpl.matchAll(/\{([^}]*)\}/g)) {
+    if (!TOKENS.has(tok)) throw new Error(`Unknown naming token {${tok}} in "${template}"`);
+  }
+  if (!tpl.endsWith('{ext}') || tpl.split('{ext}').length !== 2) {
+    throw new Error(`Naming template must end with a single {ext}: "${template}"`);
+  }
+
+  const segments = tpl.split('/');
+  const fileSeg = segments[segments.length - 1];
+  if (!fileSeg.includes('{serial}')) throw new Error(`Naming template needs {serial} in the file name: "${template}"`);
+  if (segments.some(s => !s || s === '.' || s === '..')) throw new Error(`Invalid folder in naming template: "${template}"`);
+
+  return function render(ctx, serial) {
+    const cap = ctx.captureDate || ctx.uploadDate;
+    const up  = ctx.uploadDate;
+    const values = {
+      user: ctx.user,
+      shortKey: ctx.shortKey || ctx.user,
+      kind: ctx.isVideo ? 'VID' : 'IMG',
+      serial: pad(serial, 4),
+      year: cap.getFullYear(), month: pad(cap.getMonth() + 1), day: pad(cap.getDate()),
+      uyear: up.getFullYear(), umonth: pad(up.getMonth() + 1), uday: pad(up.getDate()),
+      original: path.basename(ctx.originalName || '', path.extname(ctx.originalName || '')),
+      sha8: (ctx.sha256 || '').slice(0, 8),
+    };
+    const ext = (ctx.ext || '').replace(/[^\w.-]/g, '').replace(/^\.+/, '');
+    const fill = seg => seg.replace(/\{(\w+)\}/g, (_, tok) => (tok === 'ext' ? (ext && `.${ext}`) : sanitizeSegment(values[tok])));
+
+    return {
+      dir: segments.slice(0, -1).map(fill).join('/'),
+      file: fill(fileSeg),
+      serialKey: fill(fileSeg.slice(0, fileSeg.indexOf('{serial}') + '{serial}'.length)),
+    };
+  };
+}
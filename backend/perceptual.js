@@ -0,0 +1,95 @@
+// backend/perceptual.js
+// Perceptual hashes for near-duplicate photos (re-exports, messenger resizes,
+// stripped metadata) that the sha256 index can't see.
+//   dHash: 9x8 greyscale, one bit per "left pixel brighter than right" -> 64 bits as 16 hex chars
+//   similar images differ in a few bits; the Hamming distance is the measure
+import sharp from 'sharp';
+
+export const DEFAULT_NEAR_DISTANCE = 8; // of 64 bits
+const FLAT_RANGE = 8; // grey levels between the darkest and brightest sample
+
+/**
+ * 16-hex dHash of an image file; null when sharp can't decode it or the image
+ * is (nearly) flat: a blank frame hashes to all zeros and would match every other one.
+ */
+export async function computeDHash(filePath) {
+  try {
+    const px = await sharp(filePath, { failOn: 'none' })
+      .rotate() // orientation must not change the hash
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    if (Math.max(...px) - Math.min(...px) < FLAT_RANGE) return null;
+    let hex = '';
+    for (let row = 0; row < 8; row++) {
+      let byte = 0;
+      for (let col = 0; col < 8; col++) byte = (byte << 1) | (px[row * 9 + col] > px[row * 9 + col + 1] ? 1 : 0);
+      hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+  } catch {
+    return null;
+  }
+}
+
+const popcount32 = n => {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+const split = hex => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+
+/**
+ * In-memory index of stored images by perceptual hash (savedName -> hash).
+ * A linear scan over two 32-bit words per image is fast enough for the
+ * tens of thousands of files one event produces.
+ */
+export function createPerceptualIndex() {
+  const byName = new Map(); // savedName -> [hi, lo]
+
+  return {
+    get size() { return byName.size; },
+    add(savedName, hex) { if (hex) byName.set(savedName, split(hex)); },
+    remove(savedName) { byName.delete(savedName); },
+    has(savedName) { return byName.has(savedName); },
+
+    /** Stored images within `maxDistance` bits of `hex`, closest first. */
+    near(hex, maxDistance = DEFAULT_NEAR_DISTANCE, { exclude = null } = {}) {
+      const [h, l] = split(hex);
+      const out = [];
+      for (const [savedName, [bh, bl]] of byName) {
+        if (savedName === exclude) continue;
+        const distance = popcount32((h ^ bh) >>> 0) + popcount32((l ^ bl) >>> 0);
+        if (distance <= maxDistance) out.push({ savedName, distance });
+      }
+      return out.sort((a, b) => a.distance - b.distance);
+    },
+  };
+}
+
+/**
+ * Group linked files into clusters (union-find).
+ *   links: [{ a, b, distance }] -> [{ members: [name], maxDistance }], largest first
+ */
+export function clusterLinks(links) {
+  const parent = new Map();
+  const find = x => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); }
+    return x;
+  };
+  for (const { a, b } of links) parent.set(find(a), find(b));
+
+  const groups = new Map(); // root -> { members:Set, maxDistance }
+  for (const { a, b, distance } of links) {
+    const root = find(a);
+    const g = groups.get(root) || { members: new Set(), maxDistance: 0 };
+    g.members.add(a).add(b);
+    g.maxDistance = Math.max(g.maxDistance, distance);
+    groups.set(root, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ members: [...g.members], maxDistance: g.maxDistance }))
+    .sort((x, y) => y.members.length - x.members.length || x.maxDistance - y.maxDistance);
+}
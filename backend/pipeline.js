@@ -0,0 +1,172 @@
+// backend/pipeline.js
+// Post-upload processor pipeline.
+//   - an ordered list of hooks runs after a new file is finalized:
+//       { name, run(ctx), retries?, backoffMs? }
+//     ctx = { filePath, entry, user, quarantine(reason), log } (built by the server;
+//     its optional release() runs after the hook, e.g. to drop a downloaded copy)
+//   - each upload is a job file in `dir` (<entryId>.json), so pending work survives restarts
+//   - a throwing hook is retried with exponential backoff; once its retries are used up
+//     the job is marked failed and later hooks don't run
+//   - a hook may return { stop: true } (e.g. it quarantined the file) to end the job early;
+//     anything else it returns is kept in that hook's status
+//   - jobs run one at a time; every state change goes to onStatus(entryId, status)
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF = 5000; // ms, doubled per attempt
+
+/**
+ * "clamav,./hooks/notify.js" -> hooks, in order.
+ * Names are looked up in `builtins` (name -> factory); anything else is an ES
+ * module path (relative to baseDir) whose default export is a hook or a
+ * function returning one. `extra` hook objects (from code embedding the
+ * server) run after them.
+ */
+export async function loadHooks(spec, { builtins = {}, baseDir = process.cwd(), extra = [] } = {}) {
+  const hooks = [];
+  const add = (hook, name) => {
+    if (!hook || typeof hook.run !== 'function' || !hook.name) throw new Error(`Processor "${name}" must provide { name, run }`);
+    if (hooks.some(h => h.name === hook.name)) throw new Error(`Duplicate processor "${hook.name}"`);
+    hooks.push(hook);
+  };
+  for (const name of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    if (builtins[name]) {
+      add(await builtins[name](), name);
+    } else {
+      const mod = await import(pathToFileURL(path.resolve(baseDir, name)).href);
+      add(typeof mod.default === 'function' ? await mod.default() : mod.default, name);
+    }
+  }
+  for (const hook of extra) add(hook, hook?.name || '(extra)');
+  return hooks;
+}
+
+/**
+ * resolve(job) -> ctx for the job's upload, or null when it no longer exists
+ * (the job is then dropped).
+ */
+export function createProcessorPipeline({ dir, hooks, resolve, onStatus = () => {}, log = console }) {
+  const jobs = new Map(); // entryId -> job
+  let timer = null;
+  let running = false;
+  let stopped = true;
+
+  const jobPath = id => path.join(dir, `${id}.json`);
+
+  async function persist(job) {
+    const tmp = `${jobPath(job.id)}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job));
+    await fs.promises.rename(tmp, jobPath(job.id));
+  }
+
+  const statusOf = job => ({ state: job.state, hooks: job.hooks, updatedAt: new Date().toISOString() });
+  const report = job => Promise.resolve(onStatus(job.id, statusOf(job)))
+    .catch(err => log.warn?.({ err: err.message, id: job.id }, 'processor status update failed'));
+
+  async function finish(job, state) {
+    job.state = state;
+    jobs.delete(job.id);
+    await fs.promises.unlink(jobPath(job.id)).catch(() => {});
+    await report(job);
+  }
+
+  async function runStep(job) {
+    const hook = hooks.find(h => job.hooks[h.name]?.status !== 'ok');
+    if (!hook) return finish(job, 'done');
+
+    let ctx;
+    try { ctx = await resolve(job); }
+    catch (err) { // storage unreachable: try again later, the hook itself hasn't run
+      log.warn?.({ id: job.id, err: err.message }, 'processor input unavailable, will retry');
+      job.nextAt = Date.now() + DEFAULT_BACKOFF;
+      return persist(job);
+    }
+    if (!ctx) {
+      log.info?.({ id: job.id }, 'processor job dropped: upload no longer exists');
+      jobs.delete(job.id);
+      return fs.promises.unlink(jobPath(job.id)).catch(() => {});
+    }
+
+    const prev = job.hooks[hook.name] || { attempts: 0 };
+    const attempts = prev.attempts + 1;
+    try {
+      let out;
+      try { out = await hook.run({ ...ctx, log }); }
+      finally { await ctx.release?.(); }
+      const { stop, ...result } = out || {};
+      job.hooks[hook.name] = { status: 'ok', attempts, ...result, at: new Date().toISOString() };
+      job.nextAt = 0;
+      if (stop) return finish(job, 'stopped');
+    } catch (err) {
+      const retries = hook.retries ?? DEFAULT_RETRIES;
+      const failed = attempts > retries;
+      job.hooks[hook.name] = { status: failed ? 'failed' : 'retrying', attempts, error: err.message, at: new Date().toISOString() };
+      log.warn?.({ id: job.id, hook: hook.name, attempts, err: err.message }, failed ? 'processor failed' : 'processor will retry');
+      if (failed) return finish(job, 'failed');
+      job.nextAt = Date.now() + (hook.backoffMs ?? DEFAULT_BACKOFF) * 2 ** (attempts - 1);
+    }
+    await persist(job);
+    await report(job);
+  }
+
+  // Work through due jobs one at a time, then sleep until the next retry is due
+  async function drain() {
+    if (running || stopped) return;
+    running = true;
+    clearTimeout(timer); timer = null;
+    try {
+      for (;;) {
+        if (stopped) return;
+        const now = Date.now();
+        const due = [...jobs.values()].find(j => (j.nextAt || 0) <= now);
+        if (!due) break;
+        await runStep(due).catch(err => log.error?.({ err: err.message, id: due.id }, 'processor step crashed'));
+      }
+      const next = Math.min(...[...jobs.values()].map(j => j.nextAt || 0));
+      if (Number.isFinite(next)) timer = setTimeout(drain, Math.max(0, next - Date.now()));
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    hooks: hooks.map(h => h.name),
+
+    /** Queue a freshly finalized upload (no-op without hooks). */
+    async enqueue(entryId) {
+      if (!hooks.length || jobs.has(entryId)) return;
+      const job = { id: entryId, state: 'pending', hooks: {}, nextAt: 0, createdAt: new Date().toISOString() };
+      jobs.set(entryId, job);
+      await persist(job);
+      await report(job);
+      drain();
+    },
+
+    /** Load unfinished jobs from disk and start working. */
+    async start() {
+      stopped = false;
+      await fs.promises.mkdir(dir, { recursive: true });
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          const job = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+          if (job?.id && !jobs.has(job.id)) jobs.set(job.id, job);
+        } catch (err) {
+          log.warn?.({ file: name, err: err.message }, 'unreadable processor job skipped');
+        }
+      }
+      if (jobs.size) log.info?.({ jobs: jobs.size }, 'processor jobs resumed');
+      drain();
+    },
+
+    /** Stop scheduling; a hook that is already running finishes on its own. */
+    stop() {
+      stopped = true;
+      clearTimeout(timer); timer = null;
+    },
+
+    get pending() { return jobs.size; },
+  };
+}
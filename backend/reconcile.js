@@ -0,0 +1,203 @@
+// backend/reconcile.js
+// Bring the upload log back in line with the stored files after hand edits in
+// the uploads folder (files renamed, deleted or replaced) or a damaged log.
+//   - every stored file is re-hashed; a cache (key -> size, mtime, sha256, type)
+//     skips files whose size and mtime are unchanged since the last run
+//   - findings: orphans (files no entry points at), missing (entries whose file is
+//     gone), renamed (a missing file's content found under another name) and
+//     mismatched (the file no longer has the logged hash)
+//   - repair() only patches / appends log entries; stored files are never touched
+// Run it with the server stopped (reconcile.js at the repo root).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { MEDIA_TYPES, sniffBuffer } from './sniff.js';
+import { openUploadLog } from './uploadLog.js';
+
+const HEAD_BYTES = 4096; // for sniffBuffer
+
+// Stored next to files but not files: serial tombstones and reservation locks
+const CONTROL_EXTENSIONS = new Set(['.trashed', '.quarantined', '.deleted', '.lock', '.serial']);
+
+/** The entry needs its file in the library (dedupes pointing at it included). */
+export const expectsFile = e => !!(e?.savedName && !e.quarantined && !e.deleted?.trashId && !e.deleted?.missing);
+
+async function readCache(file) {
+  try { return JSON.parse(await fs.promises.readFile(file, 'utf8')) || {}; } catch { return {}; }
+}
+
+async function writeCache(file, cache) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(cache));
+  await fs.promises.rename(tmp, file);
+}
+
+// -> { sha256, type } of a stored file, streamed (works for every storage backend)
+async function hashStored(storage, key) {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  for await (const chunk of await storage.read(key)) {
+    hash.update(chunk);
+    if (head.length < HEAD_BYTES) head = Buffer.concat([head, chunk]).subarray(0, HEAD_BYTES);
+  }
+  return { sha256: hash.digest('hex'), type: sniffBuffer(head) };
+}
+
+/**
+ * Every stored file with its content hash.
+ *   cacheFile: re-hash cache (null: hash everything) · writeCacheFile: false for a dry run
+ *   onProgress(done, total, key): called before each file
+ * -> { files: [{ key, size, mtime, sha256, type }], hashed, cached }
+ */
+export async function scanLibrary({ storage, cacheFile = null, writeCacheFile = true, onProgress = null }) {
+  const cache = cacheFile ? await readCache(cacheFile) : {};
+  const next = {};
+  const stored = (await storage.walk()).filter(f => !CONTROL_EXTENSIONS.has(path.extname(f.key).toLowerCase()));
+  const files = [];
+  let hashed = 0;
+  for (const [i, f] of stored.entries()) {
+    onProgress?.(i, stored.length, f.key);
+    const mtimeMs = f.mtime.getTime();
+    let hit = cache[f.key];
+    if (!hit || hit.size !== f.size || hit.mtimeMs !== mtimeMs) {
+      let got;
+      try { got = await hashStored(storage, f.key); }
+      catch (e) { if (e.code === 'ENOENT') continue; throw e; } // gone since the listing
+      hit = { size: f.size, mtimeMs, ...got };
+      hashed++;
+    }
+    next[f.key] = hit;
+    files.push({ key: f.key, size: f.size, mtime: f.mtime, sha256: hit.sha256, type: hit.type });
+  }
+  if (cacheFile && writeCacheFile) await writeCache(cacheFile, next); // entries of vanished files drop out
+  return { files, hashed, cached: files.length - hashed };
+}
+
+/**
+ * Compare the log with the library.
+ * -> { files, hashed, cached,
+ *      orphans:    [{ key, size, mtime, sha256, mediaType, mime, duplicateOf }]   (duplicateOf: a logged file with that content)
+ *      missing:    [{ savedName, hash, entries: [id] }]
+ *      renamed:    [{ from, to, hash, entries: [id] }]
+ *      mismatched: [{ savedName, expected, actual, size, entries: [id] }] }
+ */
+export async function reconcile({ storage, uploadLog, cacheFile = null, writeCacheFile = true, onProgress = null }) {
+  const { files, hashed, cached } = await scanLibrary({ storage, cacheFile, writeCacheFile, onProgress });
+  const byKey = new Map(files.map(f => [f.key, f]));
+
+  const expected = new Map(); // savedName -> entries
+  for (const e of uploadLog.all()) {
+    if (!expectsFile(e)) continue;
+    const list = expected.get(e.savedName);
+    if (list) list.push(e); else expected.set(e.savedName, [e]);
+  }
+  // the hash the log holds for a file: the entry that stored it, else any dedupe of it
+  const loggedHash = entries => (entries.find(e => !e.deduped && e.hash) || entries.find(e => e.hash))?.hash || null;
+
+  const missing = [];
+  const mismatched = [];
+  const loggedHashes = new Map(); // sha256 -> savedName, for files that are where the log says
+  for (const [savedName, entries] of expected) {
+    const file = byKey.get(savedName);
+    const hash = loggedHash(entries);
+    const ids = entries.map(e => e.id);
+    if (!file) missing.push({ savedName, hash, entries: ids });
+    else if (hash && hash !== file.sha256) mismatched.push({ savedName, expected: hash, actual: file.sha256, size: file.size, entries: ids });
+    else if (hash) loggedHashes.set(hash, savedName);
+  }
+
+  let orphans = files.filter(f => !expected.has(f.key));
+
+  // A missing file whose content sits under a name nobody logged was moved by hand
+  const renamed = [];
+  for (const m of missing) {
+    const found = m.hash && orphans.find(f => f.sha256 === m.hash);
+    if (!found) continue;
+    renamed.push({ from: m.savedName, to: found.key, hash: m.hash, entries: m.entries });
+    orphans = orphans.filter(f => f !== found);
+  }
+  const movedFrom = new Set(renamed.map(r => r.from));
+  for (const r of renamed) loggedHashes.set(r.hash, r.to);
+
+  return {
+    files: files.length, hashed, cached,
+    orphans: orphans.map(f => ({
+      key: f.key, size: f.size, sha256: f.sha256, mtime: f.mtime,
+      mediaType: MEDIA_TYPES[f.type]?.kind || null, mime: MEDIA_TYPES[f.type]?.mime || null,
+      duplicateOf: loggedHashes.get(f.sha256) || null
+    })),
+    missing: missing.filter(m => !movedFrom.has(m.savedName)),
+    renamed,
+    mismatched,
+  };
+}
+
+export const isClean = r => !r.orphans.length && !r.missing.length && !r.renamed.length && !r.mismatched.length;
+
+/**
+ * Patch the log to match the library (the report of reconcile()):
+ *   renamed    -> entries follow the file to its new name
+ *   missing    -> entries flagged deleted: { missing: true } (out of circulation, kept for history)
+ *   mismatched -> entries take the file's hash and size; the old hash is kept under `rehashed`
+ *   orphans    -> media files that aren't copies of a logged file are adopted as
+ *                 `recovered` entries without an uploader; anything else is left alone
+ * Follow it with uploadLog.compact().
+ * -> { patched, appended, skipped: [key] }
+ */
+export async function repair(report, { uploadLog, now = new Date() }) {
+  const at = now.toISOString();
+  let patched = 0;
+  const patch = async (ids, set) => {
+    for (const id of ids) { await uploadLog.patch(id, typeof set === 'function' ? set(uploadLog.get(id)) : set); patched++; }
+  };
+
+  for (const r of report.renamed) {
+    await patch(r.entries, { savedName: r.to });
+    // near-duplicate links other uploads recorded to it follow as well
+    for (const e of uploadLog.all()) {
+      if (!e.nearDuplicates?.some(n => n.savedName === r.from)) continue;
+      await patch([e.id], { nearDuplicates: e.nearDuplicates.map(n => (n.savedName === r.from ? { ...n, savedName: r.to } : n)) });
+    }
+  }
+  for (const m of report.missing) await patch(m.entries, e => ({ deleted: { ...e.deleted, at: e.deleted?.at || at, by: e.deleted?.by ?? null, missing: true } }));
+  for (const m of report.mismatched) {
+    // perceptual data described the old content; undefined keys vanish at the compaction
+    // that follows a repair, and the server derives them again on its next start
+    await patch(m.entries, e => ({
+      hash: m.actual, size: m.size, rehashed: { at, previousHash: e.hash ?? null }, phash: undefined, nearDuplicates: undefined
+    }));
+  }
+
+  const skipped = [];
+  const adopted = [];
+  for (const o of report.orphans) {
+    if (!o.mediaType || o.duplicateOf) { skipped.push(o.key); continue; }
+    adopted.push({
+      authKey: null, fullName: null, originalName: path.posix.basename(o.key),
+      savedName: o.key, timestamp: new Date(o.mtime).toISOString(), hash: o.sha256, size: o.size,
+      mediaType: o.mediaType, mime: o.mime, recovered: at
+    });
+  }
+  if (adopted.length) await uploadLog.append(...adopted);
+  return { patched, appended: adopted.length, skipped };
+}
+
+/**
+ * Replace a log that won't load: keep a copy of the file, read every line that
+ * still parses, repair against the library and compact.
+ * -> { uploadLog, backup (path or null), report, result }
+ */
+export async function rebuildUploadLog({ file, legacyFile = null, storage, cacheFile = null, log = console, onProgress = null }) {
+  let backup = null;
+  if (fs.existsSync(file)) {
+    backup = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await fs.promises.copyFile(file, backup);
+  }
+  const uploadLog = await openUploadLog({ file, legacyFile, log, repair: true });
+  const report = await reconcile({ storage, uploadLog, cacheFile, onProgress });
+  const result = await repair(report, { uploadLog });
+  await uploadLog.compact();
+  return { uploadLog, backup, report, result };
+}
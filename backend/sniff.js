@@ -0,0 +1,103 @@
+// backend/sniff.js
+// Detect the real media format of a file from its leading bytes, so neither
+// the client's isVideo flag nor the file name decides what gets stored.
+import fs from 'fs';
+import path from 'path';
+
+const HEAD_BYTES = 4096; // enough for every signature below (EBML DocType included)
+
+// name -> { kind, mime, ext (canonical), aliases (client extensions kept as-is) }
+export const MEDIA_TYPES = {
+  jpeg: { kind: 'image', mime: 'image/jpeg', ext: '.jpg',  aliases: ['.jpg', '.jpeg'] },
+  png:  { kind: 'image', mime: 'image/png',  ext: '.png',  aliases: [] },
+  gif:  { kind: 'image', mime: 'image/gif',  ext: '.gif',  aliases: [] },
+  webp: { kind: 'image', mime: 'image/webp', ext: '.webp', aliases: [] },
+  bmp:  { kind: 'image', mime: 'image/bmp',  ext: '.bmp',  aliases: [] },
+  tiff: { kind: 'image', mime: 'image/tiff', ext: '.tif',  aliases: ['.tif', '.tiff', '.dng'] },
+  heic: { kind: 'image', mime: 'image/heic', ext: '.heic', aliases: ['.heic', '.heif'] },
+  avif: { kind: 'image', mime: 'image/avif', ext: '.avif', aliases: [] },
+  mp4:  { kind: 'video', mime: 'video/mp4',  ext: '.mp4',  aliases: ['.mp4', '.m4v'] },
+  mov:  { kind: 'video', mime: 'video/quicktime', ext: '.mov', aliases: [] },
+  '3gp': { kind: 'video', mime: 'video/3gpp', ext: '.3gp', aliases: ['.3gp', '.3g2'] },
+  webm: { kind: 'video', mime: 'video/webm', ext: '.webm', aliases: [] },
+  mkv:  { kind: 'video', mime: 'video/x-matroska', ext: '.mkv', aliases: [] },
+  avi:  { kind: 'video', mime: 'video/x-msvideo',  ext: '.avi', aliases: [] },
+  flv:  { kind: 'video', mime: 'video/x-flv',      ext: '.flv', aliases: [] },
+  ogv:  { kind: 'video', mime: 'video/ogg',        ext: '.ogv', aliases: [] },
+};
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const QT_ATOMS    = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot']; // ftyp-less QuickTime
+
+const ascii = (buf, off, len) => buf.toString('latin1', off, off + len);
+const startsWith = (buf, bytes, off = 0) => bytes.every((b, i) => buf[off + i] === b);
+
+// ISO BMFF: decide by major brand, then by compatible brands
+function sniffFtyp(buf) {
+  const size = buf.readUInt32BE(0);
+  const end = Math.min(buf.length, size >= 16 ? size : 16);
+  const major = ascii(buf, 8, 4);
+  const brands = [major];
+  for (let o = 16; o + 4 <= end; o += 4) brands.push(ascii(buf, o, 4));
+
+  if (major === 'qt  ') return 'mov';
+  if (brands.includes('avif') || brands.includes('avis')) return 'avif';
+  if (brands.some(b => HEIC_BRANDS.includes(b))) return 'heic';
+  if (/^3g[p2]/.test(major)) return '3gp';
+  if (brands.includes('qt  ')) return 'mov';
+  if (brands.some(b => /^(iso[2-9m]|mp4[12]|avc1|M4V |M4VH|M4VP|dash|mmp4|f4v )$/.test(b))) return 'mp4';
+  return null;
+}
+
+/** Detect a type name (a key of MEDIA_TYPES) from the first bytes of a file, or null. */
+export function sniffBuffer(buf) {
+  if (buf.length < 12) return null;
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a') return 'gif';
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 4) === 'WEBP') return 'webp';
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 4) === 'AVI ') return 'avi';
+  if (ascii(buf, 0, 4) === 'II*\0' || ascii(buf, 0, 4) === 'MM\0*') return 'tiff';
+  if (ascii(buf, 0, 2) === 'BM' && buf.length >= 18 && [12, 40, 52, 56, 108, 124].includes(buf.readUInt32LE(14))) return 'bmp';
+  if (ascii(buf, 0, 3) === 'FLV' && buf[3] === 1) return 'flv';
+  if (ascii(buf, 0, 4) === 'OggS') return 'ogv';
+  if (startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // EBML DocType element (0x4282) names the flavour
+    const i = buf.indexOf(Buffer.from([0x42, 0x82]));
+    return i !== -1 && ascii(buf, i + 3, 4) === 'webm' ? 'webm' : 'mkv';
+  }
+  if (ascii(buf, 4, 4) === 'ftyp') return sniffFtyp(buf);
+  if (QT_ATOMS.includes(ascii(buf, 4, 4))) return 'mov';
+  return null;
+}
+
+/**
+ * Sniff a file on disk.
+ *   -> { type, kind, mime, ext } for a known media format, or null.
+ * `ext` keeps the client's extension when it is a known alias of the
+ * detected type (.jpeg, .dng, .m4v ...), otherwise it is the canonical one.
+ */
+export async function sniffFile(filePath, originalName = '') {
+  const fh = await fs.promises.open(filePath, 'r');
+  let buf;
+  try {
+    buf = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await fh.read(buf, 0, HEAD_BYTES, 0);
+    buf = buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+
+  const type = sniffBuffer(buf);
+  if (!type) return null;
+  const t = MEDIA_TYPES[type];
+  const given = path.extname(originalName || '').toLowerCase();
+  return { type, kind: t.kind, mime: t.mime, ext: t.aliases.includes(given) ? given : t.ext };
+}
+
+/** "jpeg,png,mp4" -> Set of type names; throws on unknown names. Empty -> every known type. */
+export function parseTypeAllowlist(spec) {
+  const names = String(spec || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const n of names) if (!MEDIA_TYPES[n]) throw new Error(`Unknown media type "${n}" in allowlist`);
+  return new Set(names.length ? names : Object.keys(MEDIA_TYPES));
+}
@@ -0,0 +1,31 @@
+// backend/storage/index.js
+// Where stored files live. The server only speaks this interface; tmp files,
+// chunks and tus partials stay on local disk either way.
+//
+// Keys are savedNames ("2025/06/Jane_IMG-0004.jpg"). Top-level folders starting
+// with a dot are areas the naming template can never produce (sanitizeSegment
+// strips leading dots): ".trash/…" and ".quarantine/…".
+//
+//   isSerialUsed(folder, serialKey)   any key in folder holding that serial (tombstones included)
+//   lock(folder, serialKey, ttlMs)    reservation lock; false if held (a stale one is cleared)
+//   unlock(folder, serialKey)
+//   putFile(key, localPath)           move a finished local file into place (consumes it)
+//   stat(key) -> { size, mtime } | null
+//   read(key, { start, end }) -> Readable
+//   localFile(key) -> { path, release() }   for sharp / ffmpeg / clamd
+//   move(from, to) · remove(key) · writeText(key, text) · readText(key) -> string | null
+//   list(folder) -> [name]            files directly in folder
+//   walk() -> [{ key, size, mtime }]  every stored file outside the area folders (reconcile)
+//   sweepLocks(ttlMs)                 clear reservation locks left by a crash
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+export { holdsSerial } from './serial.js';
+
+export const STORAGE_BACKENDS = ['local', 's3'];
+
+export function createStorage({ backend = 'local', local, s3 }) {
+  const kind = String(backend || 'local').trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(kind)) throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  return kind === 's3' ? createS3Storage(s3) : createLocalStorage(local);
+}
@@ -0,0 +1,140 @@
+// backend/storage/local.js
+// Stored files on local disk (the default): keys are paths under `root`,
+// area folders (".trash", ".quarantine") map to their own directories.
+// Reservation locks are directories (mkdir is atomic).
+import fs from 'fs';
+import path from 'path';
+
+import { holdsSerial } from './serial.js';
+
+const rmrf = p => fs.promises.rm(p, { recursive: true, force: true }).catch(() => {});
+
+// rename, or copy + unlink across filesystems
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from).catch(() => {});
+  }
+}
+
+/**
+ * root: stored files · areas: { '.trash': dir, … } · ignoreDirs: top-level
+ * folders of root that aren't storage (tmp dirs) and are never swept
+ */
+export function createLocalStorage({ root, areas = {}, ignoreDirs = new Set() }) {
+  const resolve = key => {
+    const [head, ...rest] = key.split('/');
+    return areas[head] ? path.join(areas[head], ...rest) : path.join(root, ...key.split('/'));
+  };
+  const lockPath = (folder, serialKey) => resolve(folder ? `${folder}/${serialKey}.lock` : `${serialKey}.lock`);
+
+  return {
+    kind: 'local',
+    describe: () => root,
+    path: resolve,
+
+    async isSerialUsed(folder, serialKey) {
+      let names;
+      try { names = await fs.promises.readdir(resolve(folder || '.')); }
+      catch (e) { if (e.code === 'ENOENT') return false; throw e; }
+      return names.some(n => holdsSerial(n, serialKey));
+    },
+
+    async lock(folder, serialKey, ttlMs) {
+      const dir = lockPath(folder, serialKey);
+      await fs.promises.mkdir(path.dirname(dir), { recursive: true });
+      try {
+        await fs.promises.mkdir(dir);
+        return true;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        const st = await fs.promises.stat(dir).catch(() => null);
+        if (st && Date.now() - st.mtimeMs > ttlMs) await rmrf(dir); // free next time round
+        return false;
+      }
+    },
+
+    unlock: (folder, serialKey) => rmrf(lockPath(folder, serialKey)),
+
+    putFile: (key, localPath) => moveFile(localPath, resolve(key)),
+
+    async stat(key) {
+      const st = await fs.promises.stat(resolve(key)).catch(() => null);
+      return st?.isFile() ? { size: st.size, mtime: st.mtime } : null;
+    },
+
+    async read(key, range = {}) {
+      return fs.createReadStream(resolve(key), range);
+    },
+
+    async localFile(key) {
+      return { path: resolve(key), release: async () => {} };
+    },
+
+    move: (from, to) => moveFile(resolve(from), resolve(to)),
+
+    async remove(key) {
+      await fs.promises.unlink(resolve(key)).catch(e => { if (e.code !== 'ENOENT') throw e; });
+    },
+
+    async writeText(key, text) {
+      await fs.promises.mkdir(path.dirname(resolve(key)), { recursive: true });
+      await fs.promises.writeFile(resolve(key), text);
+    },
+
+    async readText(key) {
+      try { return await fs.promises.readFile(resolve(key), 'utf-8'); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+
+    async list(folder) {
+      try {
+        const entries = await fs.promises.readdir(resolve(folder || '.'), { withFileTypes: true });
+        return entries.filter(d => d.isFile()).map(d => d.name);
+      } catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+    },
+
+    async walk() {
+      const out = [];
+      const visit = async (dir, prefix) => {
+        for await (const d of await fs.promises.opendir(dir)) {
+          const key = prefix + d.name;
+          if (d.isDirectory()) {
+            if (d.name.endsWith('.lock') || (!prefix && (ignoreDirs.has(d.name) || areas[d.name]))) continue;
+            await visit(path.join(dir, d.name), `${key}/`);
+          } else if (d.isFile()) {
+            const st = await fs.promises.stat(path.join(dir, d.name)).catch(() => null);
+            if (st) out.push({ key, size: st.size, mtime: st.mtime });
+          }
+        }
+      };
+      await visit(root, '').catch(e => { if (e.code !== 'ENOENT') throw e; });
+      return out;
+    },
+
+    // Stale lock dirs + legacy .serial files, in every template folder
+    async sweepLocks(ttlMs) {
+      const now = Date.now();
+      const sweep = async dir => {
+        for await (const d of await fs.promises.opendir(dir)) {
+          const fp = path.join(dir, d.name);
+          if (d.isDirectory() && d.name.endsWith('.lock')) {
+            const st = await fs.promises.stat(fp).catch(() => null);
+            if (st && (now - st.mtimeMs > ttlMs)) await rmrf(fp);
+          } else if (d.isDirectory()) {
+            if (dir !== root || !ignoreDirs.has(d.name)) await sweep(fp).catch(() => {});
+          }
+          if (d.isFile() && d.name.endsWith('.serial')) {
+            const st = await fs.promises.stat(fp).catch(() => null);
+            if (st && (now - st.mtimeMs > ttlMs)) await rmrf(fp);
+          }
+        }
+      };
+      await sweep(root);
+    },
+  };
+}
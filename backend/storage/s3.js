@@ -0,0 +1,283 @@
+// backend/storage/s3.js
+// Stored files in an S3-compatible bucket (AWS S3, MinIO, Garage, …).
+//   - plain REST + SigV4 over node:http(s); payloads are streamed, not signed (UNSIGNED-PAYLOAD)
+//   - reservation locks are `<serialKey>.lock` objects created with If-None-Match: *,
+//     so two servers on one bucket can't take the same serial
+//   - folder listings are cached per process; a serial that looks free is always
+//     confirmed with a LIST of just that serial before it is locked
+//   - sharp / ffmpeg / clamd get a downloaded copy in `tmpDir` (localFile)
+// Objects are single PUTs (≤ 5 GB), which covers MAX_UPLOAD.
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import mime from 'mime-types';
+
+import { holdsSerial } from './serial.js';
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED = 'UNSIGNED-PAYLOAD';
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986: encodeURIComponent leaves !'()* alone, SigV4 doesn't
+const uriEncode = s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = key => key.split('/').map(uriEncode).join('/');
+const canonicalQuery = query => Object.keys(query).sort().map(k => `${uriEncode(k)}=${uriEncode(String(query[k]))}`).join('&');
+
+/**
+ * AWS Signature V4 headers for one request (host, x-amz-date, x-amz-content-sha256, authorization).
+ *   path: the already-encoded request path · headers: extra headers to sign
+ */
+export function signRequest({ method, host, path: uriPath, query = {}, headers = {}, payloadHash = EMPTY_SHA256,
+  region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const signed = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  for (const [k, v] of Object.entries(headers)) signed[k.toLowerCase()] = String(v).trim().replace(/\s+/g, ' ');
+
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method, uriPath, canonicalQuery(query),
+    names.map(n => `${n}:${signed[n]}\n`).join(''), names.join(';'), payloadHash
+  ].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+const xmlTag = (xml, tag) => xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1] ?? null;
+const unxml = s => s && s.replace(/&(lt|gt|quot|apos|amp);/g, (_, e) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[e]);
+
+async function bodyText(res) {
+  const parts = [];
+  for await (const c of res) parts.push(c);
+  return Buffer.concat(parts).toString('utf8');
+}
+
+// First index in sorted `arr` not below `s`
+function lowerBound(arr, s) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >>> 1; if (arr[mid] < s) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+
+/**
+ * endpoint: "http://127.0.0.1:9000" (MinIO) or "https://s3.eu-west-1.amazonaws.com"
+ * pathStyle: bucket in the path (MinIO default) rather than the host name
+ */
+export function createS3Storage({
+  endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey,
+  prefix = '', pathStyle = true, tmpDir, timeoutMs = 5 * 60 * 1000
+}) {
+  if (!endpoint || !bucket) throw new Error('S3 storage needs S3_ENDPOINT and S3_BUCKET');
+  if (!accessKeyId || !secretAccessKey) throw new Error('S3 storage needs S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  if (!tmpDir) throw new Error('S3 storage needs a local tmpDir');
+  const base = new URL(endpoint);
+  const keyPrefix = prefix ? `${prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+  const fullKey = key => `${keyPrefix}${key}`;
+  const split = key => { const i = key.lastIndexOf('/'); return i < 0 ? ['', key] : [key.slice(0, i), key.slice(i + 1)]; };
+  const inFolder = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+  // -> http.IncomingMessage; key null addresses the bucket
+  function send(method, key, { query = {}, headers = {}, body = null, payloadHash = EMPTY_SHA256, length = null } = {}) {
+    const objectPath = key == null ? '' : `/${encodeKey(fullKey(key))}`;
+    const uriPath = pathStyle ? `/${bucket}${objectPath}` : (objectPath || '/');
+    const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+    const signed = signRequest({ method, host, path: uriPath, query, headers, payloadHash, region, accessKeyId, secretAccessKey });
+    const qs = canonicalQuery(query);
+
+    return new Promise((resolve, reject) => {
+      const req = (base.protocol === 'https:' ? https : http).request({
+        method,
+        hostname: pathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+        port: base.port || undefined,
+        path: qs ? `${uriPath}?${qs}` : uriPath,
+        headers: { ...signed, ...(length != null && { 'content-length': length }) }
+      }, resolve);
+      req.on('error', reject);
+      req.setTimeout(timeoutMs, () => req.destroy(new Error(`S3 ${method} timed out`)));
+      if (body?.pipe) {
+        body.on('error', err => req.destroy(err));
+        body.pipe(req);
+      } else {
+        req.end(body ?? undefined);
+      }
+    });
+  }
+
+  async function fail(res, what) {
+    const xml = await bodyText(res).catch(() => '');
+    const code = xmlTag(xml, 'Code') || `HTTP ${res.statusCode}`;
+    return Object.assign(new Error(`S3 ${what}: ${code} ${xmlTag(xml, 'Message') || ''}`.trim()), {
+      code: res.statusCode === 404 ? 'ENOENT' : 'S3_ERROR', status: res.statusCode, s3Code: code
+    });
+  }
+
+  async function listKeys(keyPfx, { delimiter = null } = {}) {
+    const out = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: fullKey(keyPfx), ...(delimiter && { delimiter }), ...(token && { 'continuation-token': token }) };
+      const res = await send('GET', null, { query });
+      if (res.statusCode !== 200) throw await fail(res, `list ${keyPfx}`);
+      const xml = await bodyText(res);
+      for (const [, c] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        out.push({ key: unxml(xmlTag(c, 'Key')).slice(keyPrefix.length), size: Number(xmlTag(c, 'Size')), mtime: new Date(xmlTag(c, 'LastModified')) });
+      }
+      token = xmlTag(xml, 'IsTruncated') === 'true' ? unxml(xmlTag(xml, 'NextContinuationToken')) : null;
+    } while (token);
+    return out;
+  }
+
+  // folder -> sorted names seen in it; only ever grows from other servers' point of view,
+  // so a serial another server released stays taken here until restart (never the reverse)
+  const known = new Map();
+  async function folderNames(folder) {
+    if (!known.has(folder)) {
+      const items = await listKeys(folder ? `${folder}/` : '', { delimiter: '/' });
+      known.set(folder, items.map(i => split(i.key)[1]).sort());
+    }
+    return known.get(folder);
+  }
+  function remember(key) {
+    const [folder, name] = split(key);
+    const names = known.get(folder);
+    if (!names) return;
+    const i = lowerBound(names, name);
+    if (names[i] !== name) names.splice(i, 0, name);
+  }
+  function forget(key) {
+    const [folder, name] = split(key);
+    const names = known.get(folder);
+    const i = names ? lowerBound(names, name) : -1;
+    if (names && names[i] === name) names.splice(i, 1);
+  }
+  const heldIn = (names, serialKey) => {
+    for (let i = lowerBound(names, serialKey); i < names.length && names[i].startsWith(serialKey); i++) {
+      if (holdsSerial(names[i], serialKey)) return true;
+    }
+    return false;
+  };
+
+  async function stat(key) {
+    const res = await send('HEAD', key);
+    res.resume();
+    if (res.statusCode === 404) return null;
+    if (res.statusCode !== 200) throw Object.assign(new Error(`S3 stat ${key}: HTTP ${res.statusCode}`), { code: 'S3_ERROR', status: res.statusCode });
+    return { size: Number(res.headers['content-length']), mtime: new Date(res.headers['last-modified']) };
+  }
+
+  async function read(key, { start, end } = {}) {
+    const ranged = start != null || end != null;
+    const res = await send('GET', key, { headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ''}` } : {} });
+    if (res.statusCode !== 200 && res.statusCode !== 206) throw await fail(res, `get ${key}`);
+    return res;
+  }
+
+  async function put(key, body, { length, payloadHash = UNSIGNED, headers = {} } = {}) {
+    const res = await send('PUT', key, {
+      body, length, payloadHash,
+      headers: { 'content-type': mime.lookup(key) || 'application/octet-stream', ...headers }
+    });
+    if (res.statusCode !== 200) throw await fail(res, `put ${key}`);
+    res.resume();
+    remember(key);
+  }
+
+  async function remove(key) {
+    const res = await send('DELETE', key);
+    res.resume();
+    if (![200, 204, 404].includes(res.statusCode)) throw Object.assign(new Error(`S3 delete ${key}: HTTP ${res.statusCode}`), { code: 'S3_ERROR' });
+    forget(key);
+  }
+
+  const lockKey = (folder, serialKey) => inFolder(folder, `${serialKey}.lock`);
+
+  return {
+    kind: 's3',
+    describe: () => `s3://${bucket}/${keyPrefix} at ${base.origin}`,
+
+    async isSerialUsed(folder, serialKey) {
+      if (heldIn(await folderNames(folder), serialKey)) return true;
+      // another server may have stored it since the folder was listed
+      const items = await listKeys(inFolder(folder, serialKey), { delimiter: '/' });
+      for (const i of items) remember(i.key);
+      return items.some(i => holdsSerial(split(i.key)[1], serialKey));
+    },
+
+    async lock(folder, serialKey, ttlMs) {
+      const key = lockKey(folder, serialKey);
+      const res = await send('PUT', key, { body: '', length: 0, headers: { 'if-none-match': '*' } });
+      res.resume();
+      if (res.statusCode === 200) return true;
+      if (res.statusCode !== 412 && res.statusCode !== 409) throw Object.assign(new Error(`S3 lock ${key}: HTTP ${res.statusCode}`), { code: 'S3_ERROR' });
+      const st = await stat(key);
+      if (st && Date.now() - st.mtime.getTime() > ttlMs) await remove(key); // free next time round
+      return false;
+    },
+
+    unlock: (folder, serialKey) => remove(lockKey(folder, serialKey)).catch(() => {}),
+
+    async putFile(key, localPath) {
+      const { size } = await fs.promises.stat(localPath);
+      await put(key, fs.createReadStream(localPath), { length: size });
+      await fs.promises.unlink(localPath).catch(() => {});
+    },
+
+    stat,
+    read,
+
+    async localFile(key) {
+      const local = path.join(tmpDir, `.s3.${crypto.randomUUID()}${path.extname(key).toLowerCase()}`);
+      try { await pipeline(await read(key), fs.createWriteStream(local)); }
+      catch (e) { await fs.promises.unlink(local).catch(() => {}); throw e; }
+      return { path: local, release: () => fs.promises.unlink(local).catch(() => {}) };
+    },
+
+    async move(from, to) {
+      const res = await send('PUT', to, { length: 0, body: '', headers: { 'x-amz-copy-source': `/${bucket}/${encodeKey(fullKey(from))}` } });
+      const xml = res.statusCode === 200 ? await bodyText(res) : '';
+      if (res.statusCode !== 200) throw await fail(res, `copy ${from}`);
+      if (xml.includes('<Error>')) throw Object.assign(new Error(`S3 copy ${from}: ${xmlTag(xml, 'Code')}`), { code: 'S3_ERROR' });
+      remember(to);
+      await remove(from);
+    },
+
+    remove,
+
+    writeText: (key, text) => {
+      const body = Buffer.from(text);
+      return put(key, body, { length: body.length, payloadHash: sha256Hex(body) });
+    },
+
+    async readText(key) {
+      const res = await send('GET', key);
+      if (res.statusCode === 404) { res.resume(); return null; }
+      if (res.statusCode !== 200) throw await fail(res, `get ${key}`);
+      return bodyText(res);
+    },
+
+    async list(folder) {
+      return (await listKeys(folder ? `${folder}/` : '', { delimiter: '/' })).map(i => split(i.key)[1]);
+    },
+
+    async walk() {
+      return (await listKeys('')).filter(i => !i.key.startsWith('.'));
+    },
+
+    async sweepLocks(ttlMs) {
+      const now = Date.now();
+      for (const i of await listKeys('')) {
+        if (i.key.endsWith('.lock') && now - i.mtime.getTime() > ttlMs) await remove(i.key);
+      }
+    },
+  };
+}
@@ -0,0 +1,13 @@
+// backend/storage/serial.js
+/**
+ * "serial is sacred": serialKey itself or serialKey<non-digit>… holds the serial,
+ * except control files (.lock/.serial); IMG-10000 doesn't hold IMG-1000.
+ */
+export function holdsSerial(name, serialKey) {
+  if (name === serialKey) return true;
+  if (!name.startsWith(serialKey)) return false;
+  const rest = name.slice(serialKey.length);
+  if (/^\d/.test(rest)) return false;
+  const ext = rest.toLowerCase();
+  return ext !== '.lock' && ext !== '.serial';
+}
@@ -0,0 +1,277 @@
+// backend/tus.js
+// tus 1.0.0 resumable uploads (core + creation, termination, checksum).
+// Completed uploads are handed to the same ingest step as /upload and
+// /upload-manifest, so hashing, dedupe, naming and logging are identical.
+//
+// Auth: the creating request must carry a valid authKey, either as
+// `Authorization: Bearer <key>` / `X-Auth-Key` or as Upload-Metadata `authKey`.
+// Later requests are tied to the random upload id; if they do send a key it
+// must belong to the same user.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+import { assertMediaFilename, isUuid } from './validation.js';
+
+export const TUS_VERSION = '1.0.0';
+const CHECKSUM_ALGOS = ['sha1', 'sha256', 'md5'];
+
+export const TUS_HEADERS = [
+  'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Checksum',
+  'Authorization', 'X-Auth-Key'
+];
+export const TUS_EXPOSED_HEADERS = [
+  'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+  'Tus-Checksum-Algorithm', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata'
+];
+
+// "filename d29ybGQ=,authKey YWJj" -> { filename: 'world', authKey: 'abc' }
+export function parseUploadMetadata(header) {
+  const out = {};
+  for (const pair of (header || '').split(',')) {
+    const [k, v = ''] = pair.trim().split(' ');
+    if (!k) continue;
+    out[k] = Buffer.from(v, 'base64').toString('utf8');
+  }
+  return out;
+}
+
+function authKeyFrom(req) {
+  const auth = (req.headers.authorization || '').toString();
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+  return (req.headers['x-auth-key'] || '').toString().trim();
+}
+
+// Counts bytes, feeds an optional digest and refuses to exceed `max`
+function meter(max, hash) {
+  const t = new Transform({
+    transform(chunk, _enc, cb) {
+      t.bytes += chunk.length;
+      if (t.bytes > max) return cb(Object.assign(new Error('Upload exceeds Upload-Length'), { statusCode: 413 }));
+      hash?.update(chunk);
+      cb(null, chunk);
+    }
+  });
+  t.bytes = 0;
+  return t;
+}
+
+async function sha256File(file) {
+  const h = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), h);
+  return h.digest('hex');
+}
+
+/**
+ * Mount the tus endpoint at `prefix`.
+ *   dir      where partial uploads (<id>) and their info (<id>.json) live
+ *   maxSize  Tus-Max-Size in bytes
+ *   admit    optional async (length, id) -> throws a 507 error with `code` when the disk can't take it;
+ *            otherwise `length` stays reserved under the upload id until release(id)
+ *   consume  optional (id, bytes) -> bytes of the reservation that a PATCH wrote to disk
+ *   release  optional (id) -> the upload is over (ingested, refused or terminated)
+ *   onReceived optional (bytes) -> called after every PATCH with what it wrote
+ *   getUser  authKey -> FullName | undefined (reads the hot-reloaded users map)
+ *   ingest   ({ tmpPath, sha256, size, authKey, originalName }) -> { deduped, savedName }
+ *            (throws a 4xx error with `code` when the content is refused)
+ */
+export async function registerTusRoutes(app, { prefix = '/tus', dir, maxSize, admit, consume, release, onReceived, getUser, ingest }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const busy = new Set(); // upload ids with a PATCH in flight
+  const dataPath = id => path.join(dir, id);
+  const infoPath = id => path.join(dir, `${id}.json`);
+  const validId = id => isUuid(id);
+
+  async function readInfo(id) {
+    if (!validId(id)) return null;
+    try { return JSON.parse(await fs.promises.readFile(infoPath(id), 'utf8')); }
+    catch { return null; }
+  }
+  async function writeInfo(info) {
+    const tmp = `${infoPath(info.id)}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(info));
+    await fs.promises.rename(tmp, infoPath(info.id));
+  }
+  async function currentOffset(info) {
+    if (info.done) return info.length;
+    return fs.promises.stat(dataPath(info.id)).then(s => s.size).catch(() => 0);
+  }
+
+  await app.register(async (tus) => {
+    tus.addContentTypeParser('application/offset+octet-stream', (_req, payload, done) => done(null, payload));
+
+    // Every response carries Tus-Resumable; every request (but OPTIONS) must too
+    tus.addHook('onRequest', async (req, reply) => {
+      reply.header('Tus-Resumable', TUS_VERSION);
+      if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+        reply.header('Tus-Version', TUS_VERSION);
+        return reply.code(412).send({ error: 'Unsupported Tus-Resumable version', code: 'TUS_VERSION_UNSUPPORTED' });
+      }
+    });
+
+    // Resolve the upload and check ownership for /:id routes
+    async function loadOwned(req, reply) {
+      const info = await readInfo(req.params.id);
+      if (!info) { reply.code(404).send({ error: 'Upload not found', code: 'NOT_FOUND' }); return null; }
+      const key = authKeyFrom(req);
+      if (key && key !== info.authKey) { reply.code(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' }); return null; }
+      return info;
+    }
+
+    const capabilities = (reply) => reply
+      .header('Tus-Version', TUS_VERSION)
+      .header('Tus-Extension', 'creation,termination,checksum')
+      .header('Tus-Max-Size', String(maxSize))
+      .header('Tus-Checksum-Algorithm', CHECKSUM_ALGOS.join(','));
+
+    tus.options('/', async (_req, reply) => capabilities(reply).code(204).send());
+    tus.options('/:id', async (_req, reply) => capabilities(reply).code(204).send());
+
+    // ---- creation
+    tus.post('/', async (req, reply) => {
+      const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+      const authKey = authKeyFrom(req) || (metadata.authKey || '').trim();
+      if (!authKey || !getUser(authKey)) return reply.code(403).send({ error: 'Invalid authKey', code: 'INVALID_AUTH_KEY' });
+
+      if (req.headers['upload-defer-length']) return reply.code(400).send({ error: 'Upload-Defer-Length is not supported', code: 'DEFER_LENGTH_UNSUPPORTED' });
+      const length = Number(req.headers['upload-length']);
+      if (!Number.isSafeInteger(length) || length < 0) return reply.code(400).send({ error: 'Invalid Upload-Length', code: 'INVALID_UPLOAD_LENGTH' });
+      if (length > maxSize) return reply.code(413).send({ error: 'Upload-Length exceeds Tus-Max-Size', code: 'UPLOAD_TOO_LARGE' });
+
+      let filename;
+      try { filename = assertMediaFilename(metadata.filename || metadata.name); }
+      catch (e) { return reply.code(e.statusCode).send({ error: e.message, code: e.code }); }
+
+      const id = crypto.randomUUID();
+      if (admit) {
+        try { await admit(length, id); }
+        catch (e) {
+          if (e.statusCode !== 507) throw e;
+          return reply.code(507).send({ error: e.message, code: e.code, ...e.extra });
+        }
+      }
+
+      delete metadata.authKey; // never persist the key twice
+      const info = {
+        id, authKey, length, offset: 0, createdAt: new Date().toISOString(),
+        filename,
+        filetype: metadata.filetype || metadata.type || '',
+        metadata
+      };
+      try {
+        await fs.promises.writeFile(dataPath(id), '');
+        await writeInfo(info);
+      } catch (e) {
+        release?.(id);
+        throw e;
+      }
+      req.log.info({ id, length, filename: info.filename }, 'tus: created');
+
+      return reply.code(201).header('Location', `${prefix}/${id}`).send();
+    });
+
+    // ---- offset query
+    tus.head('/:id', async (req, reply) => {
+      const info = await loadOwned(req, reply);
+      if (!info) return reply;
+      const meta = Object.entries(info.metadata || {})
+        .map(([k, v]) => `${k} ${Buffer.from(String(v)).toString('base64')}`).join(',');
+      reply.header('Cache-Control', 'no-store')
+        .header('Upload-Offset', String(await currentOffset(info)))
+        .header('Upload-Length', String(info.length));
+      if (meta) reply.header('Upload-Metadata', meta);
+      return reply.code(200).send();
+    });
+
+    // ---- append
+    tus.patch('/:id', async (req, reply) => {
+      const id = req.params.id;
+      if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+        return reply.code(415).send({ error: 'Content-Type must be application/offset+octet-stream', code: 'INVALID_CONTENT_TYPE' });
+      }
+      if (busy.has(id)) return reply.code(423).send({ error: 'Upload is locked by another request', code: 'UPLOAD_LOCKED' });
+      busy.add(id);
+      try {
+        const info = await loadOwned(req, reply);
+        if (!info) return reply;
+
+        const offset = await currentOffset(info);
+        const claimed = Number(req.headers['upload-offset']);
+        if (!Number.isSafeInteger(claimed) || claimed !== offset) {
+          return reply.code(409).header('Upload-Offset', String(offset)).send({ error: 'Upload-Offset mismatch', code: 'OFFSET_MISMATCH' });
+        }
+        if (info.done) return reply.code(204).header('Upload-Offset', String(offset)).send();
+
+        let checksum = null;
+        if (req.headers['upload-checksum']) {
+          const [algo, b64] = req.headers['upload-checksum'].toString().split(' ');
+          if (!CHECKSUM_ALGOS.includes(algo) || !b64) return reply.code(400).send({ error: 'Unsupported checksum algorithm', code: 'CHECKSUM_ALGORITHM_UNSUPPORTED' });
+          checksum = { algo, expected: b64, hash: crypto.createHash(algo) };
+        }
+
+        const m = meter(info.length - offset, checksum?.hash);
+        let failure = null;
+        if (req.body) {
+          try {
+            await pipeline(req.body, m, fs.createWriteStream(dataPath(id), { flags: 'r+', start: offset }));
+          } catch (e) { failure = e; }
+          onReceived?.(m.bytes);
+        }
+
+        // Checksum (or size) failures discard this PATCH; plain disconnects keep what arrived
+        const actual = checksum && !failure ? checksum.hash.digest('base64') : null;
+        if (failure?.statusCode === 413 || (checksum && (failure || actual !== checksum.expected))) {
+          await fs.promises.truncate(dataPath(id), offset).catch(() => {});
+          if (failure?.statusCode === 413) return reply.code(413).send({ error: failure.message, code: 'UPLOAD_TOO_LARGE' });
+          if (failure) throw failure;
+          return reply.code(460).header('Upload-Offset', String(offset)).send({ error: 'Checksum mismatch', code: 'CHECKSUM_MISMATCH' });
+        }
+        consume?.(id, m.bytes); // kept, also when the client went away mid-PATCH
+        if (failure) {
+          req.log.warn({ id, err: failure.message, bytes: m.bytes }, 'tus: patch interrupted');
+          throw failure;
+        }
+
+        info.offset = offset + m.bytes;
+        if (info.offset === info.length) {
+          const tmpPath = dataPath(id);
+          const sha256 = await sha256File(tmpPath);
+          let result;
+          try {
+            result = await ingest({ tmpPath, sha256, size: info.length, authKey: info.authKey, originalName: info.filename });
+          } catch (e) {
+            if (!(e.statusCode >= 400 && e.statusCode < 500)) throw e; // a retried PATCH ingests again
+            // refused content: the upload is over, nothing left to resume
+            release?.(id);
+            await fs.promises.unlink(infoPath(id)).catch(() => {});
+            await fs.promises.unlink(tmpPath).catch(() => {});
+            req.log.warn({ id, code: e.code }, 'tus: content rejected');
+            return reply.code(e.statusCode).send({ error: e.message, code: e.code });
+          }
+          release?.(id);
+          Object.assign(info, { done: true, sha256, savedName: result.savedName, deduped: result.deduped });
+          req.log.info({ id, savedName: result.savedName, deduped: result.deduped }, 'tus: completed');
+        }
+        await writeInfo(info);
+
+        return reply.code(204).header('Upload-Offset', String(info.offset)).send();
+      } finally {
+        busy.delete(id);
+      }
+    });
+
+    // ---- termination
+    tus.delete('/:id', async (req, reply) => {
+      const info = await loadOwned(req, reply);
+      if (!info) return reply;
+      if (busy.has(info.id)) return reply.code(423).send({ error: 'Upload is locked by another request', code: 'UPLOAD_LOCKED' });
+      await fs.promises.unlink(dataPath(info.id)).catch(() => {});
+      await fs.promises.unlink(infoPath(info.id)).catch(() => {});
+      release?.(info.id);
+      return reply.code(204).send();
+    });
+  }, { prefix });
+}
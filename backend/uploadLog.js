@@ -0,0 +1,183 @@
+// backend/uploadLog.js
+// Append-only upload log (JSONL) with in-memory indexes.
+//
+//   - one entry per line; every entry gets a stable `id`
+//   - changes to an existing entry are appended as {"$op":"patch","id":...,"set":{...}}
+//     lines and folded in on load; compact() rewrites the file without them
+//   - writes go through a single queue, so concurrent finalizations can't interleave
+//   - the first open() migrates a legacy whole-array upload_log.json
+//   - a file with unparsable lines is refused (LOG_CORRUPT) unless opened with
+//     `repair`; only a torn last line (a crash mid-append) is skipped either way
+//   - `readOnly` leaves the disk as it is: no migration, no newline fix-up, no writes
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const COMPACT_AFTER_PATCHES = 500;
+
+const corrupt = (file, message, extra) => Object.assign(new Error(`Upload log ${file}: ${message}`), { code: 'LOG_CORRUPT', file, ...extra });
+
+/**
+ * repair: skip unparsable lines (dropped at the next compaction) and an
+ * unparsable legacy file instead of refusing them — for backend/reconcile.js
+ * readOnly: a legacy file is read in memory instead of migrated; append(),
+ * patch() and compact() reject — for reconcile.js --dry-run
+ */
+export async function openUploadLog({ file, legacyFile = null, log = console, repair = false, readOnly = false }) {
+  const entries = [];
+  const byId = new Map();       // id -> entry
+  const byHash = new Map();     // sha256 -> entry[]
+  const byAuthKey = new Map();  // authKey -> entry[]
+  const bySavedName = new Map(); // savedName -> entry[]
+  let patchLines = 0;
+  let badLines = 0;
+  let idsAssigned = 0; // hand-written lines without an id; compaction persists them
+
+  const addTo = (map, key, e) => {
+    if (!key) return;
+    const list = map.get(key);
+    if (list) list.push(e); else map.set(key, [e]);
+  };
+  const removeFrom = (map, key, e) => {
+    const list = key && map.get(key);
+    if (!list) return;
+    const i = list.indexOf(e);
+    if (i !== -1) list.splice(i, 1);
+    if (!list.length) map.delete(key);
+  };
+
+  function index(e) {
+    entries.push(e);
+    byId.set(e.id, e);
+    addTo(byHash, e.hash, e);
+    addTo(byAuthKey, e.authKey, e);
+    addTo(bySavedName, e.savedName, e);
+  }
+
+  function applyPatch(id, set) {
+    const e = byId.get(id);
+    if (!e) return false;
+    removeFrom(byHash, e.hash, e);
+    removeFrom(bySavedName, e.savedName, e);
+    removeFrom(byAuthKey, e.authKey, e);
+    Object.assign(e, set);
+    addTo(byHash, e.hash, e);
+    addTo(bySavedName, e.savedName, e);
+    addTo(byAuthKey, e.authKey, e);
+    return true;
+  }
+
+  // ---- load (or migrate) ----
+  if (!readOnly) await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  if (!fs.existsSync(file) && legacyFile && fs.existsSync(legacyFile)) {
+    let legacy;
+    try { legacy = JSON.parse(await fs.promises.readFile(legacyFile, 'utf8')); } catch { legacy = null; }
+    if (Array.isArray(legacy) && readOnly) {
+      legacy.filter(e => e && typeof e === 'object' && !Array.isArray(e))
+        .forEach(e => { if (!byId.has(e.id)) index({ ...e, id: e.id || crypto.randomUUID() }); });
+    } else if (Array.isArray(legacy)) {
+      const lines = legacy.filter(e => e && typeof e === 'object')
+        .map(e => JSON.stringify({ id: e.id || crypto.randomUUID(), ...e }));
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, lines.length ? lines.join('\n') + '\n' : '');
+      await fs.promises.rename(tmp, file);
+      log.info?.({ from: legacyFile, to: file, entries: lines.length }, 'upload log migrated to JSONL');
+    } else if (!repair) {
+      throw corrupt(legacyFile, 'not a JSON array of entries', { badLines: 1 });
+    } else {
+      log.warn?.({ file: legacyFile }, 'upload log: legacy file unreadable, not migrated (starting empty)');
+    }
+  }
+
+  if (fs.existsSync(file)) {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const lines = text.split('\n');
+    const bad = []; // 1-based line numbers
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let rec;
+      try { rec = JSON.parse(line); } catch { rec = undefined; }
+      if (rec?.$op === 'patch') { patchLines++; applyPatch(rec.id, rec.set || {}); return; }
+      if (!rec || typeof rec !== 'object' || Array.isArray(rec)) {
+        bad.push(i + 1);
+        badLines++;
+        return;
+      }
+      if (!rec.id) { rec.id = crypto.randomUUID(); idsAssigned++; }
+      if (byId.has(rec.id)) return; // appended while a compaction already captured it
+      index(rec);
+    });
+    const torn = bad.at(-1) === lines.length; // last line without its newline
+    if (bad.length > (torn ? 1 : 0) && !repair) {
+      throw corrupt(file, `${bad.length} unparsable line(s) (first: line ${bad[0]})`, { badLines: bad.length, lines: bad });
+    }
+    if (badLines) log.warn?.({ file, badLines }, 'upload log: skipped unparsable lines (compaction will drop them)');
+    if (text && !text.endsWith('\n') && !readOnly) await fs.promises.appendFile(file, '\n'); // next append starts a fresh line
+  }
+
+  // ---- single writer ----
+  let tail = Promise.resolve();
+  const serialize = fn => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+  const refuseWrite = () => Promise.reject(Object.assign(new Error(`Upload log ${file}: opened read-only`), { code: 'LOG_READ_ONLY' }));
+
+  async function compact() {
+    if (readOnly) return refuseWrite();
+    return serialize(async () => {
+      const tmp = `${file}.tmp`;
+      const body = entries.map(e => JSON.stringify(e)).join('\n');
+      await fs.promises.writeFile(tmp, body ? body + '\n' : '');
+      await fs.promises.rename(tmp, file);
+      patchLines = 0;
+      badLines = 0;
+      idsAssigned = 0;
+    });
+  }
+
+  return {
+    file,
+
+    /** All entries in append order. Treat as read-only. */
+    all: () => entries,
+    get size() { return entries.length; },
+    get: id => byId.get(id) || null,
+    byHash: sha256 => byHash.get(sha256) || [],
+    byAuthKey: authKey => byAuthKey.get(authKey) || [],
+    bySavedName: name => bySavedName.get(name) || [],
+
+    /**
+     * Append one or more entries. The in-memory indexes update immediately;
+     * the returned promise resolves once the lines are on disk.
+     */
+    append(...items) {
+      if (readOnly) return refuseWrite();
+      const recs = items.map(e => ({ id: e.id || crypto.randomUUID(), ...e }));
+      recs.forEach(index);
+      const data = recs.map(e => JSON.stringify(e)).join('\n') + '\n';
+      return serialize(() => fs.promises.appendFile(file, data)).then(() => (recs.length === 1 ? recs[0] : recs));
+    },
+
+    /** Merge `set` into an existing entry (recorded as a patch line). */
+    patch(id, set) {
+      if (readOnly) return refuseWrite();
+      if (!applyPatch(id, set)) return Promise.reject(new Error(`Unknown log entry ${id}`));
+      patchLines++;
+      const line = JSON.stringify({ $op: 'patch', id, set }) + '\n';
+      return serialize(() => fs.promises.appendFile(file, line)).then(() => byId.get(id));
+    },
+
+    compact,
+
+    /** Rewrite the file if patches, junk lines or id-less lines have piled up. */
+    async maybeCompact() {
+      if (patchLines >= COMPACT_AFTER_PATCHES || badLines > 0 || idsAssigned > 0) await compact();
+    },
+
+    /** Resolves once every queued write has landed. */
+    flush: () => serialize(() => {}),
+  };
+}
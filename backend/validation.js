@@ -0,0 +1,137 @@
+// backend/validation.js
+// Input validation shared by every upload route.
+//   - JSON schemas for querystrings, params and JSON bodies (checked by Fastify)
+//   - validators for multipart fields, which only exist once the stream is read
+//   - one error shape for all of it: 4xx + { error, code }
+import path from 'path';
+
+export const MAX_TOTAL_CHUNKS = 10000;
+export const MAX_CHUNK_BYTES  = 64 * 1024 * 1024; // default of limits.maxChunkBytes (backend/config.js)
+export const MAX_FILENAME     = 200;
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.tif', '.tiff', '.bmp', '.dng'];
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.avi', '.mkv', '.webm', '.flv', '.ogv', '.3gp', '.3g2'];
+export const ALLOWED_EXTENSIONS = new Set([...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS]);
+export const ARCHIVE_EXTENSIONS = new Set(['.zip']); // unpacked on ingest (backend/archive.js)
+
+const UUID_RE = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/; // no flags: .source is the schema pattern
+const SHA256_RE = /^[a-f0-9]{64}$/;
+
+// ---- schema fragments -------------------------------------------------------
+export const uuidSchema   = { type: 'string', pattern: UUID_RE.source };
+export const sha256Schema = { type: 'string', pattern: SHA256_RE.source };
+export const authKeySchema = { type: 'string', minLength: 1, maxLength: 200 };
+
+// ---- errors -----------------------------------------------------------------
+/** An Error that carries its HTTP status, a stable code and optional extra body fields. */
+export function httpError(statusCode, code, message, extra = null) {
+  return Object.assign(new Error(message), { statusCode, code, extra });
+}
+
+/**
+ * Send `err` as { error, code } if it is a client error (ours, a schema
+ * failure or a multipart limit) or a 507; anything else becomes a plain 500.
+ */
+export function replyError(reply, err, fallbackMessage = 'Internal error') {
+  const status = err?.statusCode;
+  if ((status >= 400 && status < 500) || status === 507) {
+    const code = err.validation ? 'INVALID_REQUEST' : (err.code || 'BAD_REQUEST');
+    return reply.status(status).send({ error: err.message, code, ...err.extra });
+  }
+  return reply.status(500).send({ error: fallbackMessage, code: 'INTERNAL_ERROR' });
+}
+
+// ---- field validators -------------------------------------------------------
+export const isUuid = v => typeof v === 'string' && UUID_RE.test(v);
+
+export function assertUploadId(v) {
+  if (!isUuid(v)) throw httpError(400, 'INVALID_UPLOAD_ID', 'uploadId must be a UUID');
+  return v.toLowerCase();
+}
+
+function intField(v, name, min, max, code) {
+  const n = typeof v === 'number' ? v : (/^\d+$/.test(String(v ?? '').trim()) ? Number(v) : NaN);
+  if (!Number.isSafeInteger(n) || n < min || n > max) throw httpError(400, code, `${name} must be an integer ${min}-${max}`);
+  return n;
+}
+
+/**
+ * Strip directories, control and reserved characters from a client file name.
+ * Never returns an empty string, ".", ".." or a dot-file.
+ */
+export function sanitizeFilename(name) {
+  const base = String(name ?? '').split(/[\\/]/).pop();
+  const clean = base
+    .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  if (!clean) return 'file';
+  if (clean.length <= MAX_FILENAME) return clean;
+  const ext = path.extname(clean).slice(0, 16);
+  return clean.slice(0, MAX_FILENAME - ext.length) + ext;
+}
+
+/** Sanitized name with an allowed media extension, or a 415. */
+export function assertMediaFilename(name) {
+  const clean = sanitizeFilename(name);
+  const ext = path.extname(clean).toLowerCase();
+  if (!ALLOWED_EXTENSIONS.has(ext)) {
+    throw httpError(415, 'UNSUPPORTED_FILE_TYPE', `File type ${ext || '(none)'} is not allowed`, { filename: clean });
+  }
+  return clean;
+}
+
+export const isArchiveFilename = name => ARCHIVE_EXTENSIONS.has(path.extname(String(name)).toLowerCase());
+
+/** Like assertMediaFilename, but also lets archives through (/upload and chunked uploads). */
+export function assertUploadFilename(name) {
+  const clean = sanitizeFilename(name);
+  return isArchiveFilename(clean) ? clean : assertMediaFilename(clean);
+}
+
+export const bool = v => v === true || /^true$/i.test(String(v ?? ''));
+
+/**
+ * Multipart fields of /upload-chunk. maxSize caps the declared totalSize of the
+ * series (413 above it).
+ */
+export function validateChunkFields(f, { maxChunkBytes = MAX_CHUNK_BYTES, maxSize = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!f.uploadId || f.index == null || f.totalChunks == null || !f.filename) {
+    throw httpError(400, 'MISSING_FIELDS', 'Missing fields for chunk');
+  }
+  const uploadId    = assertUploadId(f.uploadId);
+  const totalChunks = intField(f.totalChunks, 'totalChunks', 1, MAX_TOTAL_CHUNKS, 'INVALID_TOTAL_CHUNKS');
+  const index       = intField(f.index, 'index', 0, totalChunks - 1, 'INVALID_INDEX');
+  const filename    = assertUploadFilename(f.filename);
+  const chunkSize   = f.chunkSize == null ? null : intField(f.chunkSize, 'chunkSize', 0, maxChunkBytes, 'INVALID_CHUNK_SIZE');
+  const totalSize   = f.totalSize == null || f.totalSize === '' ? null : intField(f.totalSize, 'totalSize', 0, Number.MAX_SAFE_INTEGER, 'INVALID_TOTAL_SIZE');
+  if (totalSize > maxSize) throw httpError(413, 'FILE_TOO_LARGE', `File exceeds the upload limit of ${maxSize} bytes`, { filename });
+  let chunkSha256 = null;
+  if (f.chunkSha256 != null) {
+    chunkSha256 = String(f.chunkSha256).trim().toLowerCase();
+    if (!SHA256_RE.test(chunkSha256)) throw httpError(400, 'INVALID_CHECKSUM', 'chunkSha256 must be 64 hex characters');
+  }
+  return { uploadId, index, totalChunks, filename, isVideo: bool(f.isVideo), chunkSize, chunkSha256, totalSize };
+}
+
+/** The JSON manifest sent to /upload-manifest. */
+export function validateManifest(m, { maxSize }) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) throw httpError(400, 'INVALID_MANIFEST', 'Manifest must be a JSON object');
+  if (!m.uploadId || !m.totalChunks || !m.filename || !m.authKey) {
+    throw httpError(400, 'MISSING_FIELDS', 'Missing manifest fields');
+  }
+  const out = {
+    uploadId:    assertUploadId(m.uploadId),
+    totalChunks: intField(m.totalChunks, 'totalChunks', 1, MAX_TOTAL_CHUNKS, 'INVALID_TOTAL_CHUNKS'),
+    filename:    assertUploadFilename(m.filename),
+    authKey:     String(m.authKey).trim(),
+    isVideo:     bool(m.isVideo),
+    totalSize:   m.totalSize == null ? null : intField(m.totalSize, 'totalSize', 0, maxSize, 'INVALID_TOTAL_SIZE'),
+    sha256:      null,
+  };
+  if (m.sha256 != null) {
+    out.sha256 = String(m.sha256).toLowerCase();
+    if (!SHA256_RE.test(out.sha256)) throw httpError(400, 'INVALID_CHECKSUM', 'sha256 must be 64 hex characters');
+  }
+  return out;
+}
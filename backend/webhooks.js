@@ -0,0 +1,113 @@
+// backend/webhooks.js
+// Signed outbound webhooks.
+//   POST { id, type, createdAt, data } as JSON to every target subscribed to `type`
+//   X-Upload-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+// Failed deliveries are retried with exponential backoff; once the retries are
+// used up (or the dispatcher is stopped with retries pending) the delivery is
+// appended to a JSONL dead-letter file so nothing is dropped silently.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const WEBHOOK_EVENTS = ['upload.completed', 'upload.deduped', 'upload.failed', 'auth.rejected'];
+
+/** HMAC header value for `body`; receivers recompute it with the shared secret. */
+export function signPayload(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${mac}`;
+}
+
+/**
+ * "https://a/hook,https://b/hook" + one secret -> targets.
+ * `events` limits what is sent ("upload.completed,upload.failed"); empty = all.
+ */
+export function parseWebhookTargets({ urls, secret, events }) {
+  const list = String(urls || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!list.length) return [];
+  if (!secret) throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+  const wanted = String(events || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const e of wanted) if (!WEBHOOK_EVENTS.includes(e)) throw new Error(`Unknown webhook event "${e}"`);
+  for (const u of list) new URL(u); // throws on a malformed URL
+  return list.map(url => ({ url, secret, events: wanted.length ? wanted : WEBHOOK_EVENTS }));
+}
+
+const summary = r => ({ delivery: r.delivery, url: r.target.url, type: r.type, attempts: r.attempts, body: r.body });
+
+export function createWebhookDispatcher({
+  targets, deadLetterFile, log = console,
+  retries = 5, backoffMs = 2000, timeoutMs = 10000
+}) {
+  const pending = new Map(); // delivery id -> { timer, record, error } waiting for a retry
+  let stopped = false;
+
+  async function deadLetter(record, error) {
+    const line = JSON.stringify({ ...record, error, failedAt: new Date().toISOString() }) + '\n';
+    try {
+      await fs.promises.mkdir(path.dirname(deadLetterFile), { recursive: true });
+      await fs.promises.appendFile(deadLetterFile, line);
+    } catch (err) {
+      log.error?.({ err: err.message, delivery: record.delivery }, 'webhook dead-letter write failed');
+    }
+  }
+
+  async function attempt(record) {
+    const { target, body, delivery, type } = record;
+    record.attempts++;
+    let error = null;
+    try {
+      const res = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FileUploadServer-Webhooks',
+          'X-Upload-Event': type,
+          'X-Upload-Delivery': delivery,
+          'X-Upload-Signature': signPayload(target.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await res.arrayBuffer().catch(() => {}); // release the socket
+      if (res.ok) return;
+      error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (stopped || record.attempts > retries) {
+      log.warn?.({ url: target.url, type, delivery, attempts: record.attempts, error }, 'webhook dead-lettered');
+      return deadLetter(summary(record), error);
+    }
+    const delay = backoffMs * 2 ** (record.attempts - 1);
+    log.info?.({ url: target.url, type, delivery, attempts: record.attempts, error, retryIn: delay }, 'webhook retry scheduled');
+    const timer = setTimeout(() => { pending.delete(delivery); attempt(record); }, delay);
+    pending.set(delivery, { timer, record, error });
+  }
+
+  return {
+    get enabled() { return targets.length > 0; },
+
+    /** Fire-and-forget: queue `type` with `data` for every subscribed target. */
+    emit(type, data) {
+      if (stopped) return;
+      const id = crypto.randomUUID();
+      const body = JSON.stringify({ id, type, createdAt: new Date().toISOString(), data });
+      for (const target of targets) {
+        if (!target.events.includes(type)) continue;
+        const record = { target, body, type, attempts: 0, delivery: `${id}:${targets.indexOf(target)}` };
+        attempt(record).catch(err => log.error?.({ err: err.message, type }, 'webhook delivery crashed'));
+      }
+    },
+
+    /** Stop retrying; anything still waiting goes to the dead-letter file. */
+    async stop() {
+      stopped = true;
+      const waiting = [...pending.values()];
+      pending.clear();
+      for (const { timer, record, error } of waiting) {
+        clearTimeout(timer);
+        await deadLetter(summary(record), `${error} (shutdown before retry)`);
+      }
+    },
+  };
+}
@@ -0,0 +1,89 @@
+// backend/zipStream.js
+// Stream stored files as a ZIP without buffering the archive or staging it on disk.
+//   - entries are STOREd (photos/videos are already compressed), one file at a time
+//   - backpressure: the file being read pauses while the consumer is behind
+//   - fflate writes no ZIP64 records, so an archive must stay under 4 GiB / 65535 entries;
+//     callers check zipLimits() first and ask for a narrower selection otherwise
+import fs from 'fs';
+import { Readable } from 'stream';
+import { Zip, ZipPassThrough } from 'fflate';
+
+export const ZIP_MAX_FILES = 0xffff;
+export const ZIP_MAX_BYTES = 0xffffffff;
+
+const LOCAL_HEADER = 30, DATA_DESCRIPTOR = 16, CENTRAL_HEADER = 46, END_RECORD = 22;
+
+/** Exact archive size for `files` ({ name, size }). */
+export function zipSize(files) {
+  let total = END_RECORD;
+  for (const f of files) {
+    const nameLen = Buffer.byteLength(f.name);
+    total += LOCAL_HEADER + nameLen + f.size + DATA_DESCRIPTOR + CENTRAL_HEADER + nameLen;
+  }
+  return total;
+}
+
+/** null when `files` fit in one archive, else why not. */
+export function zipLimits(files) {
+  if (files.length > ZIP_MAX_FILES) return `more than ${ZIP_MAX_FILES} files`;
+  if (zipSize(files) > ZIP_MAX_BYTES) return 'larger than 4 GiB';
+  return null;
+}
+
+// DOS timestamps only cover 1980-2099
+function zipDate(mtime) {
+  const t = new Date(mtime ?? Date.now());
+  const y = t.getFullYear();
+  if (Number.isNaN(y) || y < 1980) return new Date(1980, 0, 1);
+  if (y > 2099) return new Date(2099, 11, 31);
+  return t;
+}
+
+/**
+ * files: [{ name, path | open() -> Readable, mtime? }] -> Readable of the ZIP bytes.
+ * A file that can't be read mid-stream destroys the stream with that error.
+ */
+export function createZipStream(files) {
+  let source = null; // file currently being read
+  let closed = false;
+
+  const out = new Readable({
+    read() { source?.resume(); },
+    destroy(err, cb) {
+      closed = true;
+      source?.destroy();
+      cb(err);
+    }
+  });
+
+  const zip = new Zip((err, chunk, final) => {
+    if (err) return out.destroy(err);
+    if (!out.push(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength))) source?.pause();
+    if (final) out.push(null);
+  });
+
+  async function addFile(f) {
+    const entry = new ZipPassThrough(f.name);
+    entry.mtime = zipDate(f.mtime);
+    zip.add(entry);
+    source = f.open ? await f.open() : fs.createReadStream(f.path);
+    if (closed) { source.destroy(); return; }
+    await new Promise((resolve, reject) => {
+      source.on('data', chunk => entry.push(chunk));
+      source.on('end', () => { entry.push(new Uint8Array(0), true); resolve(); });
+      source.on('error', reject);
+      source.on('close', () => { if (closed) resolve(); });
+    });
+    source = null;
+  }
+
+  (async () => {
+    for (const f of files) {
+      if (closed) return;
+      await addFile(f);
+    }
+    if (!closed) zip.end();
+  })().catch(err => out.destroy(err));
+
+  return out;
+}
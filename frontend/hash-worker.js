@@ -0,0 +1,22 @@
+// frontend/hash-worker.js
+// Hashes Files off the main thread so multi-GB videos don't freeze the page.
+//   in:  { id, file }
+//   out: { id, progress } ... then { id, sha256 } or { id, error }
+import { sha256Blob } from './sha256.js';
+
+self.onmessage = async ({ data }) => {
+  const { id, file } = data || {};
+  try {
+    let last = 0;
+    const sha256 = await sha256Blob(file, {
+      onProgress: p => {
+        if (p - last < 0.02 && p < 1) return; // don't flood the main thread
+        last = p;
+        self.postMessage({ id, progress: p });
+      }
+    });
+    self.postMessage({ id, sha256 });
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
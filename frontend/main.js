@@ -1,5 +1,6 @@
 // /frontend/main.js
 import { planUploadItems, DEFAULT_CHUNK_SIZE, generatePreview } from './chunked-upload.js';
+import { sha256Blob, sha256Hex } from './sha256.js';
 
 // ---- API base (dev uses proxy; prod uses explicit base) -------------------
 const DEV = !!(import.meta?.env?.DEV);
@@ -12,6 +13,12 @@ export const ENDPOINTS = {
   STATUS:   `${API_BASE}/upload-status`,
   ASSEMBLE: `${API_BASE}/upload-manifest`,
   HEALTHZ:  `${API_BASE}/healthz`,
+  FILES:    `${API_BASE}/files`,
+  CHECK:    `${API_BASE}/upload-check`,
+  CLAIM:    `${API_BASE}/upload-claim`,
+  DOWNLOAD: `${API_BASE}/download`,
+  DELETE:   `${API_BASE}/upload-delete`,
+  CONFIG:   `${API_BASE}/config`,
 };
 
 // --- quick reachability (helpful on mobile) --------------------------------
@@ -27,10 +34,22 @@ export const ENDPOINTS = {
 })();
 
 // ---------- config ----------
-const THRESHOLD_BYTES    = 32 * 1024 * 1024;
-const CHUNK_SIZE         = DEFAULT_CHUNK_SIZE;
-const MAX_DIRECT_WORKERS = 3;
-const MAX_CHUNK_WORKERS  = 4;
+// defaults until the server's /config arrives (it decides what it accepts)
+let THRESHOLD_BYTES    = 32 * 1024 * 1024;
+let CHUNK_SIZE         = DEFAULT_CHUNK_SIZE;
+let MAX_DIRECT_WORKERS = 3;
+let MAX_CHUNK_WORKERS  = 4;
+const configReady = (async () => {
+  try {
+    const r = await fetch(ENDPOINTS.CONFIG, { cache: 'no-store' });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const c = await r.json();
+    THRESHOLD_BYTES    = c.directThreshold ?? THRESHOLD_BYTES;
+    CHUNK_SIZE         = c.chunkSize ?? CHUNK_SIZE;
+    MAX_DIRECT_WORKERS = c.directWorkers ?? MAX_DIRECT_WORKERS;
+    MAX_CHUNK_WORKERS  = c.chunkWorkers ?? MAX_CHUNK_WORKERS;
+  } catch (e) { console.warn('Could not load /config; using built-in upload settings:', e.message); }
+})();
 
 // ---------- state ----------
 let paused = false;
@@ -63,6 +82,15 @@ if (!authKey || authKey.includes('{{authKey')) {
 }
 console.log('authKey:', authKey ? authKey.slice(0,4) + '...' : '<none>');
 
+// Everything this key has uploaded, as one streamed ZIP
+const btnDownload = document.getElementById('downloadButton');
+if (btnDownload && authKey && authKey !== 'UNAUTHENTICATED') {
+  btnDownload.style.display = '';
+  btnDownload.addEventListener('click', () => {
+    location.href = `${ENDPOINTS.DOWNLOAD}?authKey=${encodeURIComponent(authKey)}`;
+  });
+}
+
 // iOS banner (quality hint)
 (() => {
   const isiOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
@@ -198,7 +226,7 @@ function setThumb(item, url) {
   if (img && url) img.src = url;
 }
 function markRowState(row, state) {
-  row.classList.remove('paused','done','failed','uploading');
+  row.classList.remove('paused','done','failed','uploading','removed');
   row.classList.add(state);
 }
 function removeItem(id) {
@@ -208,6 +236,35 @@ function removeItem(id) {
   if (!isUploading) refreshControls();
 }
 
+// ---------- undo (the server allows deleting an own upload for a while) ----------
+function offerUndo(item, row) {
+  const until = Date.parse(item.deletableUntil || '');
+  const actions = row?.querySelector('.actions');
+  if (!item.entryId || !actions || !(until > Date.now()) || actions.querySelector('.undo')) return;
+  const btn = el('button', { class: 'undo', type: 'button', title: 'Delete this upload from the server', onclick: () => undoUpload(item, row, btn) }, 'Undo');
+  actions.prepend(btn);
+  setTimeout(() => btn.remove(), Math.min(until - Date.now(), 2**31 - 1));
+}
+async function undoUpload(item, row, btn) {
+  const pct = document.getElementById(`pct-${item.id}`);
+  btn.disabled = true;
+  try {
+    const r = await fetch(ENDPOINTS.DELETE, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ authKey, id: item.entryId })
+    });
+    if (!r.ok) throw new Error((await r.json().catch(() => null))?.error || `HTTP ${r.status}`);
+    btn.remove();
+    if (pct) pct.textContent = 'Removed';
+    markRowState(row, 'removed');
+    try { doneKeys.delete(keyForFile(item.file)); saveDoneKeys(doneKeys); } catch {} // picking it again uploads again
+  } catch (e) {
+    console.warn('undo failed:', item.file.name, e);
+    btn.disabled = false;
+    if (pct) pct.textContent = `Undo failed: ${e.message}`;
+  }
+}
+
 // ---------- network helpers ----------
 async function getReceived(uploadId) {
   const r = await fetch(`${ENDPOINTS.STATUS}?hash=${encodeURIComponent(uploadId)}`);
@@ -215,22 +272,94 @@ async function getReceived(uploadId) {
   const j = await r.json().catch(()=>({received:[]}));
   return new Set(j.received || []);
 }
+// 507: the server's disk can't take the upload; retrying in a few seconds won't help
+const storageFull = () => Object.assign(new Error('Server storage full'), { noRetry: true });
+
 async function retryFetch(url, opts, tries = 4) {
   let last;
   for (let i = 0; i < tries; i++) {
     try {
       if (i) console.warn(`retryFetch attempt ${i+1}/${tries} for ${url}`);
       const res = await fetch(url, opts);
+      if (res.status === 507) throw storageFull();
       if (!res.ok) {
         const text = await res.text().catch(()=>'<no body>');
         throw new Error(`HTTP ${res.status}: ${text}`);
       }
       return res;
-    } catch (e) { last = e; await new Promise(r => setTimeout(r, 300 * 2**i)); }
+    } catch (e) { if (e.noRetry) throw e; last = e; await new Promise(r => setTimeout(r, 300 * 2**i)); }
   }
   throw last;
 }
 
+// ---------- hashing (Web Worker) + pre-upload dedupe ----------
+let hashWorker = null;
+let hashWorkerFailed = false;
+const hashJobs = new Map(); // item id -> { file, resolve, reject, onProgress }
+function getHashWorker() {
+  if (hashWorker || hashWorkerFailed || typeof Worker === 'undefined') return hashWorker;
+  try {
+    hashWorker = new Worker(new URL('./hash-worker.js', import.meta.url), { type: 'module' });
+    hashWorker.onmessage = ({ data }) => {
+      const job = hashJobs.get(data.id); if (!job) return;
+      if (data.progress != null) { job.onProgress?.(data.progress); return; }
+      hashJobs.delete(data.id);
+      data.error ? job.reject(new Error(data.error)) : job.resolve(data.sha256);
+    };
+    hashWorker.onerror = (e) => {
+      console.warn('hash worker failed; hashing on main thread', e);
+      for (const job of hashJobs.values()) sha256Blob(job.file, { onProgress: job.onProgress }).then(job.resolve, job.reject);
+      hashJobs.clear(); hashWorker = null; hashWorkerFailed = true;
+    };
+  } catch (e) { console.warn('hash worker unavailable:', e); hashWorker = null; }
+  return hashWorker;
+}
+// Whole-file sha256, computed once per item (worker when possible)
+function hashItem(item, onProgress) {
+  if (item.sha256) return Promise.resolve(item.sha256);
+  if (!item.hashing) {
+    const w = getHashWorker();
+    item.hashing = (w
+      ? new Promise((resolve, reject) => { hashJobs.set(item.id, { file: item.file, resolve, reject, onProgress }); w.postMessage({ id: item.id, file: item.file }); })
+      : sha256Blob(item.file, { onProgress })
+    ).then(h => (item.sha256 = h))
+     .finally(() => { item.hashing = null; });
+  }
+  return item.hashing;
+}
+
+// Ask the server whether it already has this file. A hit comes with a challenge
+// (byte ranges + nonce); answering it from the local file logs the upload as a
+// dedupe, so the file is never transferred. -> true when claimed
+async function precheckItem(item, pct) {
+  try {
+    await hashItem(item, p => { pct.textContent = `Hashing ${Math.round(p*100)}%`; });
+  } catch (e) { console.warn('hash failed, uploading without precheck:', item.file.name, e); return false; }
+  try {
+    const post = (url, body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const r = await post(ENDPOINTS.CHECK, { authKey, files: [{ sha256: item.sha256, size: item.file.size, name: item.file.name }] });
+    if (!r.ok) { console.warn('upload-check HTTP', r.status); return false; }
+    const hit = ((await r.json()).results || []).find(x => x.exists && x.challenge);
+    if (!hit) return false;
+
+    const { nonce, ranges } = hit.challenge;
+    const proof = await sha256Hex(await new Blob([nonce, ...ranges.map(([a, b]) => item.file.slice(a, b + 1))]).arrayBuffer());
+    const c = await post(ENDPOINTS.CLAIM, { authKey, claims: [{ nonce, proof }] });
+    if (!c.ok) { console.warn('upload-claim HTTP', c.status); return false; }
+    const claimed = ((await c.json()).results || []).some(x => x.claimed);
+    if (claimed) { item.done = true; item.existing = true; pct.textContent = 'Already on server'; }
+    return claimed;
+  } catch (e) { console.warn('upload-check failed; uploading normally:', e); return false; }
+}
+
+// ZIP uploads are unpacked server-side; say what came out of them
+function archiveSummary(reports) {
+  const sum = k => reports.reduce((n, r) => n + (r[k] || 0), 0);
+  const extracted = sum('extracted') + sum('deduped');
+  const skipped = reports.reduce((n, r) => n + (r.skipped?.length || 0), 0);
+  return `Done – ${extracted} file${extracted === 1 ? '' : 's'} unpacked${skipped ? `, ${skipped} skipped` : ''}`;
+}
+
 // ---------- direct uploads ----------
 function uploadDirectOnce(item, bar, pct, timeoutMs = 120000) {
   return new Promise((resolve, reject) => {
@@ -238,7 +367,15 @@ function uploadDirectOnce(item, bar, pct, timeoutMs = 120000) {
     xhr.upload.onprogress = (e) => {
       if (e.lengthComputable) { const p = Math.round(100*e.loaded/e.total); bar.value = p; pct.textContent = p+'%'; }
     };
-    xhr.onload  = () => (xhr.status>=200 && xhr.status<300) ? (bar.value=100, pct.textContent='Done', item.done=true, resolve()) : reject(new Error(`HTTP ${xhr.status}`));
+    xhr.onload  = () => {
+      if (xhr.status === 507) return reject(storageFull());
+      if (!(xhr.status>=200 && xhr.status<300)) return reject(new Error(`HTTP ${xhr.status}`));
+      let body = null; try { body = JSON.parse(xhr.responseText); } catch {}
+      bar.value = 100; pct.textContent = body?.archives ? archiveSummary(body.archives) : 'Done';
+      const up = body?.uploads?.[0]; // archives unpack into many files: no single undo
+      if (up) { item.entryId = up.id; item.deletableUntil = up.deletableUntil; }
+      item.done = true; resolve();
+    };
     xhr.onerror = () => reject(new Error('Network error'));
     xhr.onabort = () => reject(new Error('Aborted'));
     xhr.ontimeout = () => reject(new Error('Timeout'));
@@ -263,7 +400,7 @@ async function uploadDirect(item, bar, pct) {
     try { await uploadDirectOnce(item, bar, pct, 120000); return; }
     catch (err) {
       console.warn(`uploadDirect attempt ${attempt} failed for ${item.file.name}:`, err);
-      if (attempt === MAX_TRIES) throw err;
+      if (attempt === MAX_TRIES || err.noRetry) throw err;
       await new Promise(r => setTimeout(r, 500 * 2**(attempt-1)));
       try { bar.value = 0; pct.textContent = '0%'; } catch {}
     }
@@ -280,13 +417,21 @@ async function uploadChunk(item, index, total) {
   form.append('hash', item.uploadId); // manifest key
   form.append('filename', item.file.name);
   form.append('isVideo', String(item.isVideo));
-  form.append('chunk', item.chunks[index], `${item.file.name}.part${index}`);
+  form.append('totalSize', String(item.file.size)); // lets the server refuse a series it has no room for
+  // integrity: server re-hashes the part and rejects it (422) on mismatch
+  const blob = item.chunks[index];
+  form.append('chunkSize', String(blob.size));
+  form.append('chunkSha256', await sha256Hex(await blob.arrayBuffer()));
+  form.append('chunk', blob, `${item.file.name}.part${index}`);
 
   const CHUNK_UPLOAD_TRIES = 6;
   await retryFetch(ENDPOINTS.CHUNK, { method: 'POST', body: form }, CHUNK_UPLOAD_TRIES);
 }
 async function assembleOnServer(item) {
-  const manifest = { uploadId: item.uploadId, totalChunks: item.chunks.length, filename: item.file.name, authKey, isVideo: item.isVideo };
+  const manifest = {
+    uploadId: item.uploadId, totalChunks: item.chunks.length, filename: item.file.name, authKey, isVideo: item.isVideo,
+    totalSize: item.file.size, sha256: item.sha256 // server refuses to finalize if the assembled file differs
+  };
   const form = new FormData(); form.append('manifest', JSON.stringify(manifest));
   const res = await fetch(ENDPOINTS.ASSEMBLE, { method: 'POST', body: form });
   const text = await res.text().catch(()=> '');
@@ -305,6 +450,12 @@ async function runChunked(item, bar, pct) {
   const MAX_ASSEMBLE_ATTEMPTS = 4;
   const backoff = n => 500 * 2**n;
 
+  // whole-file hash for the manifest (already done by the precheck unless it failed)
+  if (!item.sha256) {
+    pct.textContent = 'Hashing…';
+    await hashItem(item).catch(() => {}); // without it the server still checks per chunk
+  }
+
   for (let attempt = 0; attempt < MAX_ASSEMBLE_ATTEMPTS; attempt++) {
     if (paused) throw new Error('Paused');
 
@@ -326,14 +477,17 @@ async function runChunked(item, bar, pct) {
     try { await waitForAllChunks(item.uploadId, item.chunks.length, 12, 300); } catch {}
     const res = await assembleOnServer(item);
     if (res && res.ok && res.body && (res.body.success || res.body.warning)) {
-      pct.textContent = 'Done'; item.done = true;
+      pct.textContent = res.body.archive ? archiveSummary([res.body.archive]) : 'Done'; item.done = true;
+      item.entryId = res.body.id; item.deletableUntil = res.body.deletableUntil;
       try { doneKeys.add(keyForFile(item.file)); saveDoneKeys(doneKeys); } catch {}
       return;
     }
 
     // missing chunks?
     let missingIndices = [];
-    if (res && res.body && Array.isArray(res.body.chunkStats)) {
+    if (res && res.body && Array.isArray(res.body.missing)) {
+      missingIndices = res.body.missing.map(Number).filter(Number.isFinite);
+    } else if (res && res.body && Array.isArray(res.body.chunkStats)) {
       missingIndices = res.body.chunkStats
         .filter(s => s.exists===false || s.size===0)
         .map(s => Number(s.index)).filter(Number.isFinite);
@@ -378,6 +532,12 @@ async function runUploadQueueMixed(items) {
     const row = document.getElementById(`row-${id}`);
     return [row?.querySelector('progress'), row?.querySelector('.pct'), row];
   };
+  // claimed by the precheck: each file is hashed and checked just before its turn
+  const markExisting = (it, bar, row) => {
+    if (bar) bar.value = bar.max;
+    if (row) markRowState(row, 'done');
+    try { doneKeys.add(keyForFile(it.file)); saveDoneKeys(doneKeys); } catch {}
+  };
 
   let d = 0;
   const dWorkers = new Array(Math.min(MAX_DIRECT_WORKERS, direct.length)).fill(0).map(async () => {
@@ -385,9 +545,10 @@ async function runUploadQueueMixed(items) {
       const i = d++; if (i>=direct.length) return;
       const it = direct[i]; const [bar,pct,row] = getBarPct(it.id);
       if (row) markRowState(row, 'uploading');
+      if (await precheckItem(it, pct)) { markExisting(it, bar, row); continue; } // no transfer needed
       try { await uploadDirect(it, bar, pct); }
-      catch (e) { console.error('uploadDirect final failure:', e); pct.textContent='Failed'; if (row) markRowState(row,'failed'); }
-      if (it.done) { if (row) markRowState(row, 'done'); try { doneKeys.add(keyForFile(it.file)); saveDoneKeys(doneKeys); } catch {} }
+      catch (e) { console.error('uploadDirect final failure:', e); pct.textContent = e.noRetry ? e.message : 'Failed'; if (row) markRowState(row,'failed'); }
+      if (it.done) { if (row) markRowState(row, 'done'); offerUndo(it, row); try { doneKeys.add(keyForFile(it.file)); saveDoneKeys(doneKeys); } catch {} }
     }
   });
 
@@ -397,8 +558,9 @@ async function runUploadQueueMixed(items) {
       const i = c++; if (i>=chunked.length) return;
       const it = chunked[i]; const [bar,pct,row] = getBarPct(it.id);
       if (row) markRowState(row, 'uploading');
-      try { await runChunked(it, bar, pct); if (row && it.done) markRowState(row,'done'); }
-      catch(e){ if (e?.message==='Paused') return; console.error(e); pct.textContent='Failed'; if (row) markRowState(row,'failed'); }
+      if (await precheckItem(it, pct)) { markExisting(it, bar, row); continue; }
+      try { await runChunked(it, bar, pct); if (row && it.done) { markRowState(row,'done'); offerUndo(it, row); } }
+      catch(e){ if (e?.message==='Paused') return; console.error(e); pct.textContent = e.noRetry ? e.message : 'Failed'; if (row) markRowState(row,'failed'); }
       if (it.done) { try { doneKeys.add(keyForFile(it.file)); saveDoneKeys(doneKeys); } catch {} }
     }
   });
@@ -427,6 +589,7 @@ async function addFiles(fileList) {
   }
   if (!fresh.length) { refreshControls(); return; }
 
+  await configReady;
   const newItems = planUploadItems(fresh, { chunkSize: CHUNK_SIZE, thresholdBytes: THRESHOLD_BYTES });
   for (const it of newItems) if (doneKeys.has(keyForFile(it.file))) it.done = true;
   currentItems.push(...newItems);
@@ -0,0 +1,159 @@
+// /frontend/public/slideshow.js
+// Fullscreen event slideshow: subscribes to /feed (SSE), shows each new
+// upload as it arrives and cycles through recent ones while nothing is new.
+// Served as-is (no bundling); open /slideshow?authKey=<key> on the screen.
+
+const API_BASE = window.__API_BASE__ || '';
+const authKey = (new URLSearchParams(location.search).get('authKey') || '').trim();
+
+// ---------- config ----------
+const SLIDE_MS     = 8000;  // idle cycling
+const MIN_SHOW_MS  = 3000;  // a slide stays at least this long, even when something new arrives
+const MAX_RECENT   = 200;   // slides kept for cycling
+const RETRY_MS     = 5000;  // derivative not ready yet
+const IDLE_MOUSE_MS = 3000;
+
+// ---------- state ----------
+let recent = [];      // feed items, oldest first
+const fresh = [];     // arrived, not shown yet
+let cursor = -1;      // position in `recent` while cycling
+let shownAt = 0;
+let timer = null;
+let front = 0;        // which <img> is visible
+
+// ---------- dom ----------
+const slides  = [...document.querySelectorAll('.slide')];
+const caption = document.getElementById('caption');
+const badge   = document.getElementById('badge');
+const status  = document.getElementById('status');
+const message = document.getElementById('message');
+
+const thumbUrl = item =>
+  `${API_BASE}/thumb/${item.sha256}/${item.mediaType === 'video' ? 'poster.jpg' : 'preview.jpg'}?authKey=${encodeURIComponent(authKey)}`;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(src);
+    img.onerror = () => reject(new Error('image unavailable'));
+    img.src = src;
+  });
+}
+
+function formatWhen(item) {
+  const d = new Date(item.timestamp);
+  const time = Number.isNaN(d.getTime()) ? '' : d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return [item.mediaType === 'video' ? 'Video' : '', time].filter(Boolean).join(' · ');
+}
+
+// ---------- playback ----------
+function schedule(ms) {
+  clearTimeout(timer);
+  timer = setTimeout(advance, ms);
+}
+
+function nextItem() {
+  if (fresh.length) return { item: fresh.shift(), isNew: true };
+  if (!recent.length) return null;
+  cursor = (cursor + 1) % recent.length;
+  return { item: recent[cursor], isNew: false };
+}
+
+async function advance() {
+  const next = nextItem();
+  if (!next) { schedule(SLIDE_MS); return; }
+  const { item, isNew } = next;
+
+  try {
+    await show(item, isNew);
+  } catch {
+    // Preview still being generated: retry a new arrival once, skip an old one
+    if (isNew && !item.retried) setTimeout(() => { item.retried = true; fresh.push(item); kick(); }, RETRY_MS);
+    schedule(fresh.length ? 0 : 250);
+    return;
+  }
+  schedule(SLIDE_MS);
+}
+
+async function show(item, isNew) {
+  const src = await loadImage(thumbUrl(item));
+  const back = slides[1 - front];
+  back.src = src;
+  back.classList.add('show');
+  slides[front].classList.remove('show');
+  front = 1 - front;
+  shownAt = Date.now();
+
+  caption.querySelector('.who').textContent = item.fullName || '';
+  caption.querySelector('.when').textContent = formatWhen(item);
+  caption.classList.add('show');
+  badge.classList.toggle('show', isNew);
+  message.classList.add('hidden');
+}
+
+// Something new arrived: cut the current slide short (after its minimum time)
+function kick() {
+  schedule(Math.max(0, MIN_SHOW_MS - (Date.now() - shownAt)));
+}
+
+// ---------- feed ----------
+function remember(item) {
+  if (recent.some(r => r.id === item.id)) return false;
+  recent.push(item);
+  if (recent.length > MAX_RECENT) { recent = recent.slice(-MAX_RECENT); cursor = Math.min(cursor, recent.length - 1); }
+  return true;
+}
+
+function connect() {
+  const es = new EventSource(`${API_BASE}/feed?authKey=${encodeURIComponent(authKey)}`);
+  es.onopen = () => status.classList.remove('down');
+  es.onerror = () => status.classList.add('down'); // EventSource reconnects with Last-Event-ID
+
+  es.addEventListener('snapshot', ev => {
+    const { items = [] } = JSON.parse(ev.data);
+    items.forEach(remember);
+    if (recent.length && !timer) advance();
+  });
+
+  es.addEventListener('upload', ev => {
+    const item = JSON.parse(ev.data);
+    if (!remember(item)) return;
+    fresh.push(item);
+    kick();
+  });
+
+  es.addEventListener('removed', ev => {
+    const { savedName } = JSON.parse(ev.data);
+    recent = recent.filter(r => r.savedName !== savedName);
+    for (let i = fresh.length - 1; i >= 0; i--) if (fresh[i].savedName === savedName) fresh.splice(i, 1);
+    cursor = Math.min(cursor, recent.length - 1);
+  });
+}
+
+// ---------- screen ----------
+function toggleFullscreen() {
+  if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+  else document.documentElement.requestFullscreen?.().catch(() => {});
+}
+document.addEventListener('dblclick', toggleFullscreen);
+document.addEventListener('keydown', e => { if (e.key === 'f' || e.key === 'F') toggleFullscreen(); });
+
+let mouseTimer = null;
+document.addEventListener('mousemove', () => {
+  document.body.classList.remove('idle');
+  clearTimeout(mouseTimer);
+  mouseTimer = setTimeout(() => document.body.classList.add('idle'), IDLE_MOUSE_MS);
+});
+
+// Keep the display awake; the lock is dropped whenever the tab is hidden
+async function keepAwake() {
+  try { await navigator.wakeLock?.request('screen'); } catch {}
+}
+document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') keepAwake(); });
+
+if (!authKey) {
+  message.textContent = 'Open this page with ?authKey=<your key>';
+} else {
+  keepAwake();
+  connect();
+}
@@ -0,0 +1,90 @@
+// frontend/sha256.js
+// Incremental SHA-256 (WebCrypto can only digest a whole buffer at once,
+// which is a non-starter for multi-GB videos).
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+export function createSha256() {
+  const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const W = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLen = 0;
+  let total = 0; // bytes hashed so far
+
+  function compress(buf, off) {
+    for (let i = 0; i < 16; i++) {
+      const j = off + i * 4;
+      W[i] = (buf[j] << 24) | (buf[j + 1] << 16) | (buf[j + 2] << 8) | buf[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const a = W[i - 15], b = W[i - 2];
+      const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+      const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+      W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+    }
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+
+  return {
+    update(data) {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      let i = 0;
+      total += bytes.length;
+      if (blockLen) {
+        const take = Math.min(64 - blockLen, bytes.length);
+        block.set(bytes.subarray(0, take), blockLen);
+        blockLen += take; i = take;
+        if (blockLen < 64) return this;
+        compress(block, 0); blockLen = 0;
+      }
+      for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+      if (i < bytes.length) { block.set(bytes.subarray(i), 0); blockLen = bytes.length - i; }
+      return this;
+    },
+    digestHex() {
+      const bits = total * 8;
+      const pad = new Uint8Array((blockLen < 56 ? 64 : 128) - blockLen);
+      pad[0] = 0x80;
+      const view = new DataView(pad.buffer);
+      view.setUint32(pad.length - 8, Math.floor(bits / 2 ** 32));
+      view.setUint32(pad.length - 4, bits >>> 0);
+      this.update(pad);
+      return Array.from(H, x => x.toString(16).padStart(8, '0')).join('');
+    }
+  };
+}
+
+// Hex SHA-256 of one buffer; WebCrypto when available (https/localhost), JS otherwise
+export async function sha256Hex(buf) {
+  if (globalThis.crypto?.subtle) {
+    const d = await crypto.subtle.digest('SHA-256', buf);
+    return Array.from(new Uint8Array(d), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  return createSha256().update(buf).digestHex();
+}
+
+// Hex SHA-256 of a whole File/Blob, read piecewise
+export async function sha256Blob(blob, { sliceSize = 8 * 1024 * 1024, onProgress } = {}) {
+  const h = createSha256();
+  for (let off = 0; off < blob.size; off += sliceSize) {
+    h.update(await blob.slice(off, off + sliceSize).arrayBuffer());
+    onProgress?.(Math.min(off + sliceSize, blob.size) / blob.size);
+  }
+  return h.digestHex();
+}
@@ -0,0 +1,120 @@
+// reconcile.js
+// Check the upload log against the stored files, and repair or rebuild it.
+// Stop the server first: it holds the log in memory and would write over the repair.
+//
+//   npm run reconcile                      report only (writes nothing but the hash cache)
+//   npm run reconcile -- --repair          patch the log to match the library
+//   npm run reconcile -- --rebuild         same, for a log the server refuses to load (a copy is kept)
+//     --dry-run   show what --repair / --rebuild would change; write nothing, not even the cache
+//     --no-cache  re-hash every file
+//     --json      print the report as JSON
+// Exit code: 0 in sync (or repaired), 1 differences found or the log doesn't load, 2 error.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+import { storageFor } from './app.js';
+import { loadConfig } from './backend/config.js';
+import { isClean, rebuildUploadLog, reconcile, repair } from './backend/reconcile.js';
+import { openUploadLog } from './backend/uploadLog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USAGE = 'usage: node reconcile.js [--repair | --rebuild] [--dry-run] [--no-cache] [--json]';
+
+const log = {
+  info: (_obj, msg) => console.error(msg),
+  warn: (_obj, msg) => console.error(`warning: ${msg}`),
+};
+
+// "done/total" on a terminal, nothing when piped
+const progress = process.stderr.isTTY
+  ? (i, total) => { if (i % 50 === 0 || i === total - 1) process.stderr.write(`\rhashing ${i + 1}/${total}`); }
+  : null;
+
+const entries = list => `${list.length} ${list.length === 1 ? 'entry' : 'entries'}`;
+
+function printReport(r, { dryRun, mode }) {
+  const will = mode === 'report' ? 'repair would' : dryRun ? 'would' : 'did';
+  console.log(`${r.files} stored files (${r.hashed} hashed, ${r.cached} unchanged since the last run)`);
+  for (const x of r.renamed) console.log(`renamed     ${x.from} -> ${x.to} (${entries(x.entries)}; ${will} follow the file)`);
+  for (const x of r.missing) console.log(`missing     ${x.savedName} (${entries(x.entries)}; ${will} flag them deleted.missing)`);
+  for (const x of r.mismatched) {
+    console.log(`mismatch    ${x.savedName} logged ${x.expected.slice(0, 12)}… is ${x.actual.slice(0, 12)}… (${will} take the new hash)`);
+  }
+  for (const x of r.orphans) {
+    const why = x.duplicateOf ? `copy of ${x.duplicateOf}, left alone` : !x.mediaType ? 'not media, left alone' : `${will} adopt it`;
+    console.log(`orphan      ${x.key} (${why})`);
+  }
+  if (isClean(r)) console.log('log and library are in sync');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        repair: { type: 'boolean' }, rebuild: { type: 'boolean' }, 'dry-run': { type: 'boolean' },
+        'no-cache': { type: 'boolean' }, json: { type: 'boolean' }, help: { type: 'boolean', short: 'h' },
+      }
+    }));
+  } catch (e) {
+    console.error(`${e.message}\n${USAGE}`);
+    return 2;
+  }
+  if (values.help) { console.log(USAGE); return 0; }
+  if (values.repair && values.rebuild) { console.error(`--repair and --rebuild are exclusive\n${USAGE}`); return 2; }
+
+  const mode = values.rebuild ? 'rebuild' : values.repair ? 'repair' : 'report';
+  const dryRun = !!values['dry-run'];
+  const config = loadConfig({ baseDir: __dirname });
+  const storage = storageFor(config);
+  const cacheFile = values['no-cache'] ? null : config.paths.hashCache;
+  const files = { file: config.paths.uploadLog, legacyFile: config.paths.legacyUploadLog, log };
+  const readOnly = mode === 'report' || dryRun; // the log is opened without migrating or fixing it up
+  const output = (report, result = null) => {
+    if (values.json) console.log(JSON.stringify({ mode, dryRun, ...report, ...(result && { result }) }, null, 2));
+    else printReport(report, { dryRun, mode });
+  };
+
+  if (mode === 'rebuild' && !dryRun) {
+    const { backup, report, result } = await rebuildUploadLog({ ...files, storage, cacheFile, onProgress: progress });
+    if (progress) process.stderr.write('\n');
+    output(report, result);
+    if (!values.json) {
+      if (backup) console.log(`previous log kept as ${backup}`);
+      console.log(`rebuilt ${files.file}: ${result.patched} entries patched, ${result.appended} adopted`);
+    }
+    return 0;
+  }
+
+  let uploadLog;
+  let unloadable = false; // the server would refuse this log
+  try {
+    uploadLog = await openUploadLog({ ...files, repair: mode === 'rebuild', readOnly });
+  } catch (e) {
+    if (e.code !== 'LOG_CORRUPT') throw e;
+    if (mode === 'repair') { console.error(`${e.message}\nuse --rebuild for a log that doesn't load`); return 2; }
+    console.error(`${e.message}\nreporting on the lines that parse; the server won't start until --rebuild`);
+    unloadable = true;
+    uploadLog = await openUploadLog({ ...files, repair: true, readOnly });
+  }
+
+  const report = await reconcile({ storage, uploadLog, cacheFile, writeCacheFile: !dryRun, onProgress: progress });
+  if (progress) process.stderr.write('\n');
+  if (mode === 'report' || dryRun || isClean(report)) {
+    output(report);
+    return isClean(report) && !unloadable ? 0 : 1;
+  }
+
+  const result = await repair(report, { uploadLog });
+  await uploadLog.compact();
+  output(report, result);
+  if (!values.json) console.log(`repaired ${files.file}: ${result.patched} entries patched, ${result.appended} adopted`);
+  return 0;
+}
+
+main().then(code => process.exit(code), err => {
+  console.error(err?.message || err);
+  process.exit(2);
+});
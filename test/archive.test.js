@@ -0,0 +1,129 @@
+// test/archive.test.js
+// ZIP reading and entry checks (backend/archive.js), and a damaged entry through /upload.
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import { text } from 'stream/consumers';
+import { zipSync } from 'fflate';
+import sharp from 'sharp';
+
+import { buildUploadServer } from '../app.js';
+import { openEntryStream, readZipEntries } from '../backend/archive.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const BODY = 'hello archive '.repeat(200);
+
+// -> path of a ZIP with `files` ({ name: [bytes, { level }] }) after `damage(buf, entries)` ran on it
+async function writeZip(name, files, damage = null) {
+  const buf = Buffer.from(zipSync(files));
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, buf);
+  if (damage) {
+    damage(buf, await readZipEntries(file));
+    fs.writeFileSync(file, buf);
+  }
+  return file;
+}
+
+// offset of an entry's data (after its local header)
+const dataStart = (buf, e) => e.localOffset + 30 + buf.readUInt16LE(e.localOffset + 26) + buf.readUInt16LE(e.localOffset + 28);
+
+describe('readZipEntries / openEntryStream', () => {
+  for (const [label, level] of [['stored', 0], ['deflated', 9]]) {
+    test(`reads a ${label} entry back intact`, async () => {
+      const file = await writeZip(`ok-${level}.zip`, { 'dir/a.txt': [Buffer.from(BODY), { level }] });
+      const [e] = await readZipEntries(file);
+      assert.equal(e.name, 'dir/a.txt');
+      assert.equal(e.method, level ? 8 : 0);
+      assert.equal(e.size, BODY.length);
+      assert.equal(await text(await openEntryStream(file, e)), BODY);
+    });
+  }
+
+  test('a flipped byte in the data fails the CRC check', async () => {
+    const file = await writeZip('crc.zip', { 'a.txt': [Buffer.from(BODY), { level: 0 }] }, (buf, [e]) => {
+      buf[dataStart(buf, e) + 10] ^= 0xff;
+    });
+    const [e] = await readZipEntries(file);
+    await assert.rejects(text(await openEntryStream(file, e)), { code: 'CORRUPT_ENTRY', message: 'Entry CRC mismatch' });
+  });
+
+  test('an entry larger than its header says is cut off', async () => {
+    const file = await writeZip('big.zip', { 'a.txt': [Buffer.from(BODY), { level: 9 }] }, (buf, [e]) => {
+      const cd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+      buf.writeUInt32LE(e.size - 100, cd + 24); // uncompressed size in the central directory
+    });
+    const [e] = await readZipEntries(file);
+    await assert.rejects(text(await openEntryStream(file, e)), { code: 'CORRUPT_ENTRY', message: 'Entry is larger than its header says' });
+  });
+
+  test('an entry shorter than its header says is refused', async () => {
+    const file = await writeZip('short.zip', { 'a.txt': [Buffer.from(BODY), { level: 0 }] }, (buf) => {
+      const cd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+      buf.writeUInt32LE(BODY.length + 100, cd + 24);
+    });
+    const [e] = await readZipEntries(file);
+    await assert.rejects(text(await openEntryStream(file, e)), { code: 'CORRUPT_ENTRY', message: 'Entry is shorter than its header says' });
+  });
+
+  test('a central directory over the cap is refused before it is read', async () => {
+    const file = await writeZip('cd.zip', { 'a.txt': Buffer.from(BODY) });
+    const buf = fs.readFileSync(file);
+    buf.writeUInt32LE(64 * 1024 * 1024, buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06])) + 12);
+    fs.writeFileSync(file, buf);
+    await assert.rejects(readZipEntries(file), { code: 'ARCHIVE_TOO_LARGE' });
+  });
+
+  test('not a ZIP', async () => {
+    const file = path.join(tmp, 'plain.zip');
+    fs.writeFileSync(file, BODY);
+    await assert.rejects(readZipEntries(file), { code: 'INVALID_ARCHIVE' });
+  });
+});
+
+describe('ZIP upload', () => {
+  let server;
+  before(async () => {
+    server = await buildUploadServer({
+      logger: false,
+      config: { paths: { data: path.join(tmp, 'data') } },
+      users: async () => ({ names: { key1: 'Test User' } })
+    });
+  });
+  after(() => server.app.close());
+
+  const image = color => sharp({ create: { width: 32, height: 32, channels: 3, background: color } }).jpeg().toBuffer();
+
+  test('a damaged entry is skipped, the rest is stored', async () => {
+    const zip = await writeZip('upload.zip', {
+      'good.jpg': [await image('#c00'), { level: 0 }],
+      'bad.jpg': [await image('#00c'), { level: 0 }]
+    }, (buf, entries) => {
+      const bad = entries.find(e => e.name === 'bad.jpg');
+      buf[dataStart(buf, bad) + 200] ^= 0xff;
+    });
+
+    const boundary = '----archive-test';
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="authKey"\r\n\r\nkey1\r\n`),
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="photos.zip"\r\n\r\n`),
+      fs.readFileSync(zip),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    const res = await server.app.inject({
+      method: 'POST', url: '/upload', body,
+      headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+    });
+
+    assert.equal(res.statusCode, 200);
+    const [report] = res.json().archives;
+    assert.equal(report.extracted, 1);
+    assert.deepEqual(report.skipped.map(s => [s.name, s.code]), [['bad.jpg', 'CORRUPT_ENTRY']]);
+    assert.equal(server.uploadLog.all().length, 1);
+    assert.equal(server.uploadLog.all()[0].archive.entry, 'good.jpg');
+  });
+});